@@ -4,9 +4,12 @@
  * @org Radiants @RadiantsDAO
  * @description Core automation logic for the Lodestar bot.
  * This module contains the `runAutomationCheck` function, which is
- * triggered near the end of a round. It analyzes the board, determines
- * the best targets based on the user's selected mode (1x, 3x, 5x EV),
- * and executes the deployment transaction.
+ * triggered near the end of a round. It analyzes the board, asks the
+ * selected strategy (a built-in mode such as 1x, 3x, 5x EV, or a custom
+ * strategy) for its targets, and executes the deployment transaction
+ * (or records a paper trade when speculating). When swarm mining is on,
+ * every swarm wallet then plays the same board with its own settings.
+ * Every real deploy is checked against the risk guardrails first.
  * @project lodestar-cli
  * @license MIT
  */
@@ -17,10 +20,164 @@ import { analyzeBoardState } from './detection.mjs';
 import { log } from './utils.mjs';
 import { APP_MODES } from './constants.mjs';
 import { getSigner } from './wallet.mjs';
-import { sendDeployTx } from './transactions.mjs';
+import { sendDeployTx, isClaimInFlight } from './transactions.mjs';
+import { recordPaperTrade } from './paperTrading.mjs';
+import { runStrategy } from './strategies.mjs';
+import { getRecentRounds } from './history.mjs';
+import { getSizingSettings, getBankroll } from './sizing.mjs';
+import { getSwarmWallets, getWalletMode, getWalletDeployAmount } from './swarm.mjs';
+import { checkGuardrails, checkReserve, recordDeploy, releaseDeploy, tripGuardrail } from './guardrails.mjs';
+import { updateControlsWindow } from './tui.mjs';
+import { getTriggerSeconds } from './timing.mjs';
+import { checkPriceSafety } from './oracle.mjs';
 
-// --- Constants ---
-const AUTOMATION_TRIGGER_SECONDS = 5; // Triggers at 5 seconds left
+// --- Private Helper Functions ---
+
+/**
+ * Returns why the automation must not act now, if anything: unsafe data,
+ * or a claim in flight, which real deploys wait for (retried every tick).
+ * @returns {string|null} The reason, or null if the automation may act.
+ */
+function getAutomationBlock() {
+  const { dataStale, isSpeculating } = getState();
+  if (dataStale) {
+    return 'board data is stale (websocket silent, polls failing)';
+  }
+  if (!isSpeculating && isClaimInFlight()) {
+    return 'waiting for a claim in flight';
+  }
+  return checkPriceSafety();
+}
+
+/**
+ * Builds the context handed to the strategy from the live app state.
+ * @param {object} analysis - The result of `analyzeBoardState`.
+ * @param {object} roundData - The current parsed round data.
+ * @param {object} wallet - The wallet fields of the context ({ publicKey, balance, bankroll, deployAmount, isSpeculating }).
+ * @returns {object} The strategy context.
+ */
+function buildStrategyContext(analysis, roundData, wallet) {
+  const state = getState();
+  return {
+    analysis,
+    round: roundData,
+    wallet,
+    history: getRecentRounds(),
+    prices: {
+      oreSol: state.priceOreSol,
+      oreUsd: state.PRICE_ORE_USD,
+      solUsd: state.PRICE_SOL_USD,
+    },
+    sizing: getSizingSettings(),
+  };
+}
+
+/**
+ * Stops the automation after a guardrail refused a deploy.
+ * @param {string} reason - The guardrail that tripped.
+ */
+function stopOnGuardrail(reason) {
+  tripGuardrail(reason);
+  updateControlsWindow();
+}
+
+/**
+ * Sends a deploy without waiting for it, with its amount reserved against
+ * the spending limits while it is in flight. The reservation is released
+ * unless the deploy is confirmed, so only landed deploys count.
+ * @param {Array<object>} targets - The squares to deploy to.
+ * @param {number} total - The total SOL of the deploy.
+ * @param {object} connection - The Solana connection object.
+ * @param {Keypair} signer - The deploying wallet's keypair.
+ */
+function sendReservedDeploy(targets, total, connection, signer) {
+  const reservation = recordDeploy(total);
+  sendDeployTx(targets, connection, signer).then(
+    outcome => {
+      if (outcome !== 'confirmed') {
+        releaseDeploy(reservation);
+      }
+    },
+    e => {
+      releaseDeploy(reservation);
+      log(`deploy failed: ${e.message}`);
+    }
+  );
+}
+
+/**
+ * Restricts a board analysis to a subset of squares, for swarm wallets
+ * that only play some of the board.
+ * @param {object} analysis - The result of `analyzeBoardState`.
+ * @param {Array<number>|null} squares - The allowed square ids, or null for all.
+ * @returns {object} The restricted analysis.
+ */
+function restrictAnalysis(analysis, squares) {
+  if (!squares) return analysis;
+
+  const allowed = new Set(squares);
+  const keep = list => list.filter(s => allowed.has(s.id));
+  const byEV = keep(analysis.byEV);
+  const byRatio = keep(analysis.byRatio);
+  return {
+    bestEV: byEV[0] || null,
+    bestRatio: byRatio[0] || null,
+    byEV,
+    byRatio,
+    fullAnalysis: keep(analysis.fullAnalysis),
+  };
+}
+
+/**
+ * Runs the swarm wallets' strategies on the current board and sends their deploys.
+ * Swarm wallets never paper-trade: they are skipped while speculating.
+ * @param {object} analysis - The result of `analyzeBoardState`.
+ * @param {object} roundData - The current parsed round data.
+ * @param {object} connection - The Solana connection object.
+ */
+async function runSwarmDeploys(analysis, roundData, connection) {
+  const wallets = getSwarmWallets().filter(w => getWalletMode(w) !== APP_MODES.IDLE);
+  if (wallets.length === 0) return;
+
+  if (getState().isSpeculating) {
+    log(`skipping ${wallets.length} swarm wallet(s), speculate is on`);
+    return;
+  }
+
+  for (const wallet of wallets) {
+    // 1. Ask the wallet's strategy for targets on its part of the board
+    const mode = getWalletMode(wallet);
+    const selected = await runStrategy(mode, buildStrategyContext(restrictAnalysis(analysis, wallet.squares), roundData, {
+      publicKey: wallet.publicKey,
+      balance: wallet.balance,
+      bankroll: wallet.balance + wallet.rewardsSol,
+      deployAmount: getWalletDeployAmount(wallet),
+      isSpeculating: false,
+    }));
+    const targets = selected.filter(t => !wallet.squares || wallet.squares.includes(t.id));
+
+    if (targets.length === 0) {
+      log(`swarm ${wallet.name}: mode ${mode} found no valid targets`);
+      continue;
+    }
+
+    // 2. Check the guardrails; a wallet short of its reserve only sits this round out
+    const total = targets.reduce((sum, t) => sum + t.amount, 0);
+    const trip = checkGuardrails(total);
+    if (trip) {
+      stopOnGuardrail(trip);
+      return;
+    }
+    const short = checkReserve(total, wallet.balance);
+    if (short) {
+      log(`swarm ${wallet.name}: skipping, ${short}`);
+      continue;
+    }
+
+    log(`swarm ${wallet.name}: ${mode} deploying to ${targets.map(t => `#${t.id}`).join(' ')}, ${total.toFixed(6)} sol total`);
+    sendReservedDeploy(targets, total, connection, wallet.keypair);
+  }
+}
 
 // --- Public Functions ---
 
@@ -32,7 +189,9 @@ export function resetRoundFlags() {
   setAppState({
     automationHasRunThisRound: false,
     checkpointHasRunThisRound: false,
+    automationBlock: null,
   });
+  updateControlsWindow();
 }
 
 /**
@@ -40,12 +199,12 @@ export function resetRoundFlags() {
  * @param {object} roundData - The current parsed round data.
  * @param {number} secondsRemaining - The number of seconds left in the round.
  * @param {object} connection - The Solana connection object.
+ * @param {Keypair} signer - The user's keypair.
  */
-export function runAutomationCheck(roundData, secondsRemaining, connection, signer) {
+export async function runAutomationCheck(roundData, secondsRemaining, connection, signer) {
   const {
     appMode,
     isSpeculating,
-    customDeployAmount,
     automationHasRunThisRound
   } = getState();
 
@@ -54,7 +213,8 @@ export function runAutomationCheck(roundData, secondsRemaining, connection, sign
     return; // Automation is disabled
   }
 
-  if (secondsRemaining > AUTOMATION_TRIGGER_SECONDS || secondsRemaining <= 0) {
+  const triggerSeconds = getTriggerSeconds();
+  if (secondsRemaining > triggerSeconds || secondsRemaining <= 0) {
     return; // Not within the trigger time window
   }
 
@@ -62,57 +222,59 @@ export function runAutomationCheck(roundData, secondsRemaining, connection, sign
     return; // Automation has already run for this round
   }
 
+  // Never decide on a frozen board or a bad price
+  const block = getAutomationBlock();
+  if (block !== getState().automationBlock) {
+    setAppState({ automationBlock: block });
+    if (block) log(`automation skipped: ${block}`);
+    updateControlsWindow();
+  }
+  if (block) {
+    return;
+  }
+
   // 2. Set flag and log trigger
   setAppState({ automationHasRunThisRound: true });
-  log(`lfg: mode ${appMode} @ ${secondsRemaining}s`);
+  log(`lfg: mode ${appMode} @ ${secondsRemaining.toFixed(1)}s (trigger ${triggerSeconds}s)`);
 
-  // 3. Analyze the board for targets
+  // 3. Analyze the board and ask the strategy for targets
   const analysis = analyzeBoardState(roundData);
-  if (!analysis.bestEV) {
-    log('no positive EV squares found, skipping');
-    return;
-  }
-
-  // 4. Determine targets based on the current app mode
-  let targets = [];
-  switch (appMode) {
-    case APP_MODES.ONE_X_EV:
-      if (analysis.bestEV) {
-        targets = [analysis.bestEV];
-      }
-      break;
-    case APP_MODES.THREE_X_EV:
-      targets = analysis.byEV.slice(0, 3);
-      break;
-    case APP_MODES.FIVE_X_EV:
-      targets = analysis.byEV.slice(0, 5);
-      break;
-    case APP_MODES.THIRTEEN_X_EV:
-      targets = analysis.byEV.slice(0, 13);
-      break;
-    case APP_MODES.TWENTY_FIVE_X_EV:
-      targets = analysis.byEV.slice(0, 25);
-      break;
-  }
+  const targets = await runStrategy(appMode, buildStrategyContext(analysis, roundData, {
+    publicKey: signer ? signer.publicKey.toBase58() : null,
+    balance: getState().userBalance,
+    bankroll: getBankroll(),
+    deployAmount: getState().customDeployAmount,
+    isSpeculating,
+  }));
 
   if (targets.length === 0) {
     log(`mode ${appMode} selected, but no valid targets found`);
-    return;
-  }
+  } else {
+    // 4. Log actions and execute
+    const total = targets.reduce((sum, t) => sum + t.amount, 0);
+    log(`deploying to ${targets.length} target(s), ${total.toFixed(6)} sol total`);
 
-  // 5. Log actions and execute
-  const action = isSpeculating ? 'SPECULATE' : 'EXECUTE';
-  log(`deploying ${customDeployAmount} sol/target, ${customDeployAmount * targets.length} total`);
+    for (const target of targets) {
+      log(`auto target: #${target.id} ${target.amount} sol (EV: ${target.ev.toFixed(4)} sol)`);
+    }
 
-  for (const target of targets) {
-    log(`auto target: #${target.id} (EV: ${target.ev.toFixed(4)} sol)`);
+    if (isSpeculating) {
+      log(`skipping deploy, speculate is on`);
+      recordPaperTrade(
+        getState().currentRoundId,
+        targets.map(t => ({ id: t.id, amount: t.amount })),
+        appMode
+      );
+    } else {
+      const trip = checkReserve(total, getState().userBalance) || checkGuardrails(total);
+      if (trip) {
+        stopOnGuardrail(trip);
+        return;
+      }
+      sendReservedDeploy(targets, total, connection, signer);
+    }
   }
 
-  if (isSpeculating) {
-    // We'll need to add logic to track stats for speculation mode later
-    // @TODO
-    log(`skipping deploy, speculate is on`);
-  } else {
-    sendDeployTx(targets, connection, signer);
-  }
+  // 5. Let the swarm wallets play the same board
+  await runSwarmDeploys(analysis, roundData, connection);
 }
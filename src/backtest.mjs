@@ -0,0 +1,316 @@
+/**
+ * @file backtest.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Offline backtesting engine for the automation strategies.
+ * Replays the archived round history (see history.mjs) through
+ * `analyzeBoardState` and the automation strategies (built-in modes and
+ * custom strategies), as the board looked at the automation trigger
+ * point, then settles each simulated deploy against the real final
+ * round. Compares every requested strategy / sizing / deploy amount combination
+ * and reports total deployed, total returned, ROI, max drawdown and a
+ * per-round breakdown.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { MS_PER_SLOT, APP_MODES, MODE_ALIASES } from './constants.mjs';
+import { setAppState } from './state.mjs';
+import { analyzeBoardState } from './detection.mjs';
+import { computeSimulatedPayout } from './ev.mjs';
+import { runStrategy, loadStrategies, hasStrategy, getCustomStrategyNames } from './strategies.mjs';
+import { readJsonLines, formatSol } from './utils.mjs';
+import { ROUNDS_FILE, SNAPSHOTS_FILE, RECENT_ROUNDS_LIMIT, summarizeRound } from './history.mjs';
+import { getConfig } from './config.mjs';
+
+// --- Private Helper Functions ---
+
+/**
+ * Streams the snapshot file and keeps, for each round, the latest snapshot
+ * taken at or before the trigger point (`endSlot - triggerSlots`).
+ * The file can be large, so it is read line by line.
+ * @param {string} filePath - Path of snapshots.jsonl.
+ * @param {number} triggerSlots - Slots before the round end at which automation fires.
+ * @returns {Promise<Map<string, object>>} roundId -> snapshot.
+ */
+async function loadDecisionSnapshots(filePath, triggerSlots) {
+  const snapshots = new Map();
+  if (!fs.existsSync(filePath)) return snapshots;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf-8'),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(line);
+    } catch (e) {
+      continue; // skip partial or corrupt lines
+    }
+
+    if (!snapshot.endSlot || !snapshot.slot) continue;
+    if (snapshot.slot > snapshot.endSlot - triggerSlots) continue;
+
+    const current = snapshots.get(snapshot.roundId);
+    if (!current || snapshot.slot > current.slot) {
+      snapshots.set(snapshot.roundId, snapshot);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Runs one strategy / sizing / amount combination over every round.
+ * @param {Array<object>} rounds - The prepared rounds ({ roundId, final, decision, priceOreSol }).
+ * @param {string} mode - A built-in mode or custom strategy name.
+ * @param {object} sizing - The sizing settings.
+ * @param {number} amount - The deploy amount handed to the strategy (SOL per target).
+ * @param {number} bankroll - The starting bankroll in SOL, grown or shrunk by the simulated P&L.
+ * @returns {Promise<object>} The result for this combination.
+ */
+async function runCombination(rounds, mode, sizing, amount, bankroll) {
+  const breakdown = [];
+  let totalDeployed = 0;
+  let totalReturned = 0;
+  let totalFees = 0;
+  let roundsPlayed = 0;
+  let hits = 0;
+  let pnl = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  const history = [];
+
+  for (const round of rounds) {
+    // 1. Pick targets from the board as seen at the trigger point
+    setAppState({ priceOreSol: round.priceOreSol });
+    const analysis = analyzeBoardState(round.decision);
+    const targets = await runStrategy(mode, {
+      analysis,
+      round: round.decision,
+      wallet: {
+        publicKey: null,
+        balance: bankroll + pnl,
+        bankroll: bankroll + pnl,
+        deployAmount: amount,
+        isSpeculating: true,
+      },
+      history: history.slice(-RECENT_ROUNDS_LIMIT),
+      prices: { oreSol: round.priceOreSol, oreUsd: null, solUsd: null },
+      sizing,
+    });
+    history.push(summarizeRound(round.roundId, round.final, round.final.winningSquare));
+    if (targets.length === 0) continue;
+
+    // 2. Settle against the real final round
+    const deployments = targets.map(t => ({ id: t.id, amount: t.amount }));
+    const payout = computeSimulatedPayout(round.final, deployments, round.final.winningSquare);
+
+    roundsPlayed += 1;
+    hits += payout.hit ? 1 : 0;
+    totalDeployed += payout.deployed;
+    totalReturned += payout.returned;
+    totalFees += payout.fees;
+    pnl += payout.net;
+
+    // 3. Track drawdown from the running peak
+    peak = Math.max(peak, pnl);
+    maxDrawdown = Math.max(maxDrawdown, peak - pnl);
+
+    breakdown.push({
+      roundId: round.roundId,
+      squares: deployments.map(d => d.id),
+      amounts: deployments.map(d => d.amount),
+      winningSquare: round.final.winningSquare,
+      deployed: payout.deployed,
+      returned: payout.returned,
+      net: payout.net,
+      cumulative: pnl,
+    });
+  }
+
+  return {
+    mode,
+    sizing: sizing.mode,
+    amount,
+    roundsPlayed,
+    hits,
+    hitRate: roundsPlayed > 0 ? hits / roundsPlayed : 0,
+    totalDeployed,
+    totalReturned,
+    totalFees,
+    pnl,
+    roi: totalDeployed > 0 ? pnl / totalDeployed : 0,
+    maxDrawdown,
+    breakdown,
+  };
+}
+
+// --- Public Functions ---
+
+/**
+ * Loads the archive and prepares the rounds to replay.
+ * @param {object} options
+ * @param {string} options.historyDir - The history directory.
+ * @param {number} options.triggerSeconds - Seconds before round end at which automation fires.
+ * @param {number|null} options.lastRounds - Only keep the most recent N rounds.
+ * @returns {Promise<{ rounds: Array<object>, finalStateRounds: number }>}
+ */
+export async function loadBacktestRounds({ historyDir, triggerSeconds, lastRounds }) {
+  // 1. Load finalized rounds with a known winner
+  const finals = readJsonLines(path.join(historyDir, ROUNDS_FILE))
+    .filter(r => r.winningSquare)
+    .sort((a, b) => Number(BigInt(a.roundId) - BigInt(b.roundId)));
+
+  const selected = lastRounds ? finals.slice(-lastRounds) : finals;
+
+  // 2. Find the board state at the trigger point of each round
+  const triggerSlots = Math.ceil((triggerSeconds * 1000) / MS_PER_SLOT);
+  const snapshots = await loadDecisionSnapshots(path.join(historyDir, SNAPSHOTS_FILE), triggerSlots);
+
+  // 3. Fall back to the final state when no snapshot exists (look-ahead bias)
+  let finalStateRounds = 0;
+  const rounds = selected.map(final => {
+    const decision = snapshots.get(final.roundId);
+    if (!decision) finalStateRounds += 1;
+    return {
+      roundId: final.roundId,
+      final,
+      decision: decision || final,
+      priceOreSol: (decision || final).priceOreSol || final.priceOreSol || 0,
+    };
+  });
+
+  return { rounds, finalStateRounds };
+}
+
+/**
+ * Runs the backtest for every strategy / sizing / amount combination.
+ * @param {Array<object>} rounds - The rounds from `loadBacktestRounds`.
+ * @param {Array<string>} modes - Built-in modes or custom strategy names to compare.
+ * @param {Array<object>} sizings - Sizing settings to compare.
+ * @param {Array<number>} amounts - SOL amounts per target to compare.
+ * @param {number} bankroll - The starting bankroll of every combination, in SOL.
+ * @returns {Promise<Array<object>>} One result per combination.
+ */
+export async function runBacktest(rounds, modes, sizings, amounts, bankroll) {
+  const results = [];
+  for (const mode of modes) {
+    for (const sizing of sizings) {
+      for (const amount of amounts) {
+        results.push(await runCombination(rounds, mode, sizing, amount, bankroll));
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Formats the backtest results as a plain-text report.
+ * @param {Array<object>} results - The results from `runBacktest`.
+ * @param {object} meta - { rounds, finalStateRounds, triggerSeconds, bankroll }.
+ * @param {boolean} details - Include the per-round breakdown.
+ * @returns {string} The report.
+ */
+export function formatBacktestReport(results, meta, details) {
+  const lines = [];
+  lines.push(`backtest: ${meta.rounds} rounds, trigger at ${meta.triggerSeconds}s before end, ${meta.bankroll} sol starting bankroll`);
+  if (meta.finalStateRounds > 0) {
+    lines.push(`warning: ${meta.finalStateRounds} round(s) had no snapshot before the trigger point and were replayed from their final state (look-ahead bias)`);
+  }
+  lines.push('');
+
+  const header = ['mode', 'sizing', 'amount', 'played', 'hit rate', 'deployed', 'returned', 'p&l', 'roi', 'max dd'];
+  const rows = results.map(r => [
+    r.mode,
+    r.sizing,
+    r.amount.toString(),
+    r.roundsPlayed.toString(),
+    `${(r.hitRate * 100).toFixed(1)}%`,
+    r.totalDeployed.toFixed(4),
+    r.totalReturned.toFixed(4),
+    formatSol(r.pnl),
+    `${(r.roi * 100).toFixed(2)}%`,
+    r.maxDrawdown.toFixed(4),
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+  lines.push(formatRow(header));
+  lines.push(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach(row => lines.push(formatRow(row)));
+
+  if (details) {
+    for (const r of results) {
+      lines.push('');
+      lines.push(`--- ${r.mode} / ${r.sizing} @ ${r.amount} sol/target ---`);
+      for (const b of r.breakdown) {
+        const targets = b.squares.map((id, i) => `#${id}:${b.amounts[i].toFixed(4)}`).join(' ');
+        lines.push(`round ${b.roundId}: ${targets} | winner #${b.winningSquare} | net ${formatSol(b.net)} | total ${formatSol(b.cumulative)}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Entry point of the `backtest` command.
+ * Unset options fall back to the loaded configuration.
+ * @param {object} options - The options returned by `parseCliArgs` for the backtest command.
+ * @returns {Promise<number>} The process exit code.
+ */
+export async function runBacktestCommand(options) {
+  const config = getConfig();
+  const historyDir = path.resolve(process.cwd(), options.historyDir || config.history.dir);
+  const triggerSeconds = options.triggerSeconds ?? config.automation.triggerSeconds;
+  const amounts = options.amounts || [config.automation.deployAmount];
+  const sizings = (options.sizing || [config.sizing.mode]).map(mode => ({ ...config.sizing, mode }));
+
+  // 1. Load the custom strategies and check the requested names
+  await loadStrategies();
+  const modes = options.modes || [
+    ...Object.values(APP_MODES).filter(m => m !== APP_MODES.IDLE),
+    ...getCustomStrategyNames(),
+  ];
+
+  const unknown = modes.filter(m => !hasStrategy(m));
+  if (unknown.length > 0) {
+    const available = getCustomStrategyNames().join(', ') || 'none loaded';
+    console.error(`unknown mode or strategy: ${unknown.join(', ')}`);
+    console.error(`built-in modes: ${Object.keys(MODE_ALIASES).filter(m => m !== 'idle').join(', ')}; custom strategies: ${available}`);
+    return 1;
+  }
+
+  // 2. Load the archive
+  const { rounds, finalStateRounds } = await loadBacktestRounds({
+    historyDir,
+    triggerSeconds,
+    lastRounds: options.lastRounds,
+  });
+
+  if (rounds.length === 0) {
+    console.error(`no archived rounds with a known winner in ${historyDir}`);
+    console.error('run the bot with history.enabled to build an archive first.');
+    return 1;
+  }
+
+  // 3. Replay and report
+  const results = await runBacktest(rounds, modes, sizings, amounts, options.bankroll);
+  const meta = { rounds: rounds.length, finalStateRounds, triggerSeconds, bankroll: options.bankroll };
+  console.log(formatBacktestReport(results, meta, options.details));
+
+  // 4. Optionally save the full report
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify({ ...meta, historyDir, results }, null, 2));
+    console.log(`\nfull report written to ${options.out}`);
+  }
+  return 0;
+}
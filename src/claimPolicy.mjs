@@ -0,0 +1,200 @@
+/**
+ * @file claimPolicy.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Automatic claim scheduling.
+ * Every `claim.intervalMs` a wallet's claims come due, and `claim.policy`
+ * decides what happens: `interval` claims what is above the minimum
+ * threshold, `fee-multiple` instead requires the claim to be worth
+ * `claim.feeMultiple` times what it costs (the transaction fee, plus the
+ * ORE token account rent on the first ORE claim), `between-rounds` holds
+ * the claim until the current round is over, and `never` leaves claiming
+ * to the user. A due claim also waits while any deploy is in flight, so
+ * the two never compete. Decisions are logged when they change.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { CLAIM_POLICIES, SOL_PER_LAMPORT, ORE_MINT } from './constants.mjs';
+import { getState } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { estimateSlot } from './clock.mjs';
+import { getAssociatedTokenAddress } from './solana.mjs';
+import { sendClaimSolTx, sendClaimOreTx, isDeployInFlight } from './transactions.mjs';
+
+// --- Constants ---
+const CLAIM_FEE_LAMPORTS = 5_000; // One signature; claims carry no priority fee
+const TOKEN_ACCOUNT_RENT_LAMPORTS = 2_039_280; // Rent-exempt minimum of a 165-byte token account
+const CHECK_MS = 1_000;           // How often a due claim re-checks what it waits for
+
+// --- Private Helper Functions ---
+
+/**
+ * Checks whether no round is running: the current one has reached its end
+ * slot, or the board is waiting for the first deploy of the next one.
+ * @returns {boolean} True between rounds.
+ */
+function isBetweenRounds() {
+  const { currentBoardData } = getState();
+  if (!currentBoardData) return false;
+
+  const endSlot = Number(currentBoardData.end_slot.toString());
+  if (!Number.isSafeInteger(endSlot)) return true; // u64::MAX until the first deploy
+  return estimateSlot() >= endSlot;
+}
+
+/**
+ * Picks the claims worth sending under the policy. With `fee-multiple`, the
+ * fee check replaces the minimum thresholds, which would otherwise hide it
+ * (the default 0.001 SOL is already 200x the fee).
+ * @param {string} policy - The claim policy.
+ * @param {{ sol: number, ore: number }} rewards - Claimable SOL, and ORE (unrefined plus refined).
+ * @param {boolean} hasOreAccount - Whether the wallet's ORE token account exists (else the ORE claim pays its rent).
+ * @returns {{ claims: Array<{ asset: string, amount: number }>, skipped: Array<string> }}
+ * The claims to send, and why the others were skipped.
+ */
+function pickClaims(policy, rewards, hasOreAccount) {
+  const { minThreshold, feeMultiple, oreEnabled, oreMinThreshold } = getConfig().claim;
+  const byFee = policy === CLAIM_POLICIES.FEE_MULTIPLE;
+  const claims = [];
+  const skipped = [];
+
+  // 1. SOL
+  const solMinValue = feeMultiple * CLAIM_FEE_LAMPORTS * SOL_PER_LAMPORT;
+  if (!(rewards.sol > 0)) {
+    skipped.push('no SOL');
+  } else if (!byFee && rewards.sol < minThreshold) {
+    skipped.push(`${rewards.sol.toFixed(6)} SOL below ${minThreshold} SOL`);
+  } else if (byFee && rewards.sol < solMinValue) {
+    skipped.push(`${rewards.sol.toFixed(6)} SOL below ${feeMultiple}x the fee (${solMinValue.toFixed(6)} SOL)`);
+  } else {
+    claims.push({ asset: 'SOL', amount: rewards.sol });
+  }
+
+  // 2. ORE, valued in SOL for the fee check, which includes the token account rent if it is created
+  if (!oreEnabled) return { claims, skipped };
+
+  const { priceOreSol } = getState();
+  const oreCostLamports = CLAIM_FEE_LAMPORTS + (hasOreAccount ? 0 : TOKEN_ACCOUNT_RENT_LAMPORTS);
+  const oreMinValue = feeMultiple * oreCostLamports * SOL_PER_LAMPORT;
+  const oreCostText = hasOreAccount ? 'the fee' : 'the fee and token account rent';
+  if (!(rewards.ore > 0)) {
+    skipped.push('no ORE');
+  } else if (!byFee && rewards.ore < oreMinThreshold) {
+    skipped.push(`${rewards.ore.toFixed(4)} ORE below ${oreMinThreshold} ORE`);
+  } else if (byFee && !(priceOreSol > 0)) {
+    skipped.push('ORE not valued (no ore/sol price)');
+  } else if (byFee && rewards.ore * priceOreSol < oreMinValue) {
+    skipped.push(`${rewards.ore.toFixed(4)} ORE below ${feeMultiple}x ${oreCostText} (${oreMinValue.toFixed(6)} SOL)`);
+  } else {
+    claims.push({ asset: 'ORE', amount: rewards.ore });
+  }
+
+  return { claims, skipped };
+}
+
+/**
+ * Checks whether a wallet's ORE token account exists.
+ * @param {Connection} connection - The Solana connection object.
+ * @param {PublicKey} owner - The wallet.
+ * @returns {Promise<boolean>} True if it exists; false if not, or if the check failed.
+ */
+async function hasOreTokenAccount(connection, owner) {
+  try {
+    return (await connection.getAccountInfo(getAssociatedTokenAddress(owner, ORE_MINT))) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// --- Public Functions ---
+
+/**
+ * Starts the automatic claims of a wallet under `claim.policy`.
+ * @param {object} params
+ * @param {string} params.label - Log prefix, e.g. "auto-claim" or "swarm w1: auto-claim".
+ * @param {Connection} params.connection - The Solana connection object.
+ * @param {Keypair} params.signer - The wallet's keypair.
+ * @param {Function} params.getRewards - Returns the claimable { sol, ore } (ORE: unrefined plus refined).
+ * @param {Function} params.onClaimed - Called (awaited) after a successful claim, to refresh stats.
+ * @param {number} [params.offsetMs] - Delay before the first claim comes due.
+ */
+export function startAutoClaim({ label, connection, signer, getRewards, onClaimed, offsetMs = 0 }) {
+  const { policy, intervalMs } = getConfig().claim;
+
+  if (policy === CLAIM_POLICIES.NEVER) {
+    log(`${label}: policy never, claim manually`);
+    return;
+  }
+
+  let nextDueAt = Date.now() + (offsetMs || intervalMs);
+  let claiming = false;
+  let lastDecision = null;
+  let hasOreAccount = false; // Once created, the ORE token account stays
+
+  // Logs a decision unless it repeats the previous one
+  const logDecision = decision => {
+    if (decision !== lastDecision) {
+      log(`${label}: ${decision}`);
+      lastDecision = decision;
+    }
+  };
+
+  // One check of a due claim; errors are caught by the timer below
+  const checkClaims = async () => {
+    if (claiming || Date.now() < nextDueAt) return;
+
+    // 1. Is there anything worth claiming?
+    if (policy === CLAIM_POLICIES.FEE_MULTIPLE && getConfig().claim.oreEnabled && !hasOreAccount) {
+      claiming = true;
+      try {
+        hasOreAccount = await hasOreTokenAccount(connection, signer.publicKey);
+      } finally {
+        claiming = false;
+      }
+    }
+    const { claims, skipped } = pickClaims(policy, getRewards(), hasOreAccount);
+    if (claims.length === 0) {
+      logDecision(`skipped (${policy}): ${skipped.join(', ')}`);
+      nextDueAt = Date.now() + intervalMs;
+      return;
+    }
+
+    // 2. Hold it while a deploy is in flight, or until the round ends
+    if (isDeployInFlight()) {
+      logDecision('waiting, deploy in flight');
+      return;
+    }
+    if (policy === CLAIM_POLICIES.BETWEEN_ROUNDS && !isBetweenRounds()) {
+      logDecision('waiting for the round to end');
+      return;
+    }
+
+    // 3. Claim
+    claiming = true;
+    lastDecision = null;
+    try {
+      let claimed = false;
+      for (const { asset, amount } of claims) {
+        log(`${label} (${policy}): claiming ${amount.toFixed(4)} ${asset}`);
+        const send = asset === 'SOL' ? sendClaimSolTx : sendClaimOreTx;
+        claimed = await send(connection, signer) || claimed;
+      }
+      if (claimed) {
+        await onClaimed();
+      }
+    } finally {
+      claiming = false;
+      nextDueAt = Date.now() + intervalMs;
+    }
+  };
+
+  setInterval(() => {
+    checkClaims().catch(e => {
+      logDecision(`failed: ${e.message}`);
+      nextDueAt = Date.now() + intervalMs;
+    });
+  }, CHECK_MS);
+}
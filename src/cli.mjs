@@ -0,0 +1,325 @@
+/**
+ * @file cli.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Command-line argument handling for Lodestar.
+ * Parses the flags accepted by `main.mjs` (headless mode, config file,
+ * automation mode, deploy amount, speculation and audio toggles, fee
+ * percentile, log file, wallet passphrase source) and converts the
+ * runtime settings into config overrides, which take precedence over the
+ * config file and environment. Also parses the flags of the `backtest` and
+ * `encrypt-wallet` subcommands.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { parseArgs } from 'util';
+import { MODE_ALIASES, SIZING_MODES } from './constants.mjs';
+import { resolveAppMode } from './config.mjs';
+
+// --- Constants ---
+const CLI_OPTIONS = {
+  'headless': { type: 'boolean', default: false },
+  'config': { type: 'string' },
+  'mode': { type: 'string' },
+  'strategy': { type: 'string' },
+  'amount': { type: 'string' },
+  'speculate': { type: 'boolean', default: false },
+  'no-speculate': { type: 'boolean', default: false },
+  'audio': { type: 'boolean', default: false },
+  'no-audio': { type: 'boolean', default: false },
+  'fee-percentile': { type: 'string' },
+  'log-file': { type: 'string' },
+  'passphrase-file': { type: 'string' },
+  'passphrase-fd': { type: 'string' },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+const ENCRYPT_WALLET_OPTIONS = {
+  'config': { type: 'string' },
+  'passphrase-file': { type: 'string' },
+  'passphrase-fd': { type: 'string' },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+const BACKTEST_OPTIONS = {
+  'config': { type: 'string' },
+  'history': { type: 'string' },
+  'modes': { type: 'string' },
+  'amounts': { type: 'string' },
+  'sizing': { type: 'string' },
+  'bankroll': { type: 'string' },
+  'trigger': { type: 'string' },
+  'rounds': { type: 'string' },
+  'out': { type: 'string' },
+  'details': { type: 'boolean', default: false },
+  'help': { type: 'boolean', short: 'h', default: false },
+};
+
+export const USAGE = `usage: lodestar [options]
+       lodestar backtest [options]         (see lodestar backtest --help)
+       lodestar encrypt-wallet [options]   (see lodestar encrypt-wallet --help)
+
+options:
+  --headless          run without the TUI (for pm2, systemd, docker...)
+  --config <path>     config file to load (default: ./lodestar.config.json)
+  --mode <mode>       automation mode: ${Object.keys(MODE_ALIASES).join(', ')}
+  --strategy <name>   start with a custom strategy from the strategies directory
+  --amount <sol>      deploy amount per target, in SOL
+  --speculate         start in speculation (dry run) mode
+  --no-speculate      start with real deploys, even if the config speculates
+  --audio             enable audio alerts
+  --no-audio          disable audio alerts, even if the config enables them
+  --fee-percentile <n>  priority fee percentile (0-100) of recent fees
+  --log-file <path>   append headless log output to a file instead of stdout
+  --passphrase-file <path>  read the wallet passphrase from a file
+  --passphrase-fd <n>       read the wallet passphrase from an inherited file descriptor
+  -h, --help          show this message
+
+the wallet passphrase can also be set with LODESTAR_PASSPHRASE (or
+LODESTAR_PASSPHRASE_FILE); otherwise it is asked for on startup.`;
+
+export const BACKTEST_USAGE = `usage: lodestar backtest [options]
+
+replays the archived round history through the automation modes.
+
+options:
+  --config <path>     config file to load (default: ./lodestar.config.json)
+  --history <dir>     history directory (default: history.dir)
+  --modes <list>      comma-separated modes or custom strategies to compare
+                      (default: every built-in mode and loaded strategy)
+  --amounts <list>    comma-separated SOL amounts per target (default: automation.deployAmount)
+  --sizing <list>     comma-separated sizing modes: ${Object.values(SIZING_MODES).join(', ')} (default: sizing.mode)
+  --bankroll <sol>    starting bankroll for percent / kelly sizing (default: 1)
+  --trigger <sec>     seconds before round end to decide at (default: automation.triggerSeconds)
+  --rounds <n>        only replay the most recent n rounds
+  --out <path>        also write the full report (with per-round breakdown) as JSON
+  --details           print the per-round breakdown
+  -h, --help          show this message`;
+
+export const ENCRYPT_WALLET_USAGE = `usage: lodestar encrypt-wallet [options]
+
+encrypts the plaintext id.json in the current directory in place.
+
+options:
+  --config <path>           config file to load (default: ./lodestar.config.json)
+  --passphrase-file <path>  read the new passphrase from a file
+  --passphrase-fd <n>       read the new passphrase from an inherited file descriptor
+  -h, --help                show this message
+
+without a passphrase source (or LODESTAR_PASSPHRASE), the passphrase is asked for twice.`;
+
+// --- Private Helper Functions ---
+
+/**
+ * Parses a positive number flag.
+ * @param {string} name - The flag name (for error messages).
+ * @param {string} raw - The raw value.
+ * @returns {number} The parsed number.
+ * @throws {Error} If the value is not a positive number.
+ */
+function parsePositiveNumber(name, raw) {
+  const value = parseFloat(raw);
+  if (isNaN(value) || value <= 0) {
+    throw new Error(`invalid --${name} "${raw}" (expected a positive number)`);
+  }
+  return value;
+}
+
+/**
+ * Resolves a `--<name>` / `--no-<name>` flag pair.
+ * @param {object} values - The raw flag values.
+ * @param {string} name - The flag name, e.g. "audio".
+ * @returns {boolean|null} True or false if one was passed, null to keep the config's setting.
+ * @throws {Error} If both flags are passed.
+ */
+function resolveToggle(values, name) {
+  if (values[name] && values[`no-${name}`]) {
+    throw new Error(`--${name} and --no-${name} cannot be used together`);
+  }
+  if (values[name]) return true;
+  if (values[`no-${name}`]) return false;
+  return null;
+}
+
+/**
+ * Parses the wallet passphrase source flags.
+ * @param {object} values - The raw flag values.
+ * @returns {{ passphraseFile: string|null, passphraseFd: number|null }}
+ * @throws {Error} If the file descriptor is not a non-negative integer.
+ */
+function parsePassphraseArgs(values) {
+  let passphraseFd = null;
+  if (values['passphrase-fd'] !== undefined) {
+    passphraseFd = Number(values['passphrase-fd']);
+    if (!Number.isInteger(passphraseFd) || passphraseFd < 0) {
+      throw new Error(`invalid --passphrase-fd "${values['passphrase-fd']}" (expected a file descriptor number)`);
+    }
+  }
+  return { passphraseFile: values['passphrase-file'] || null, passphraseFd };
+}
+
+/**
+ * Parses the flags of the `encrypt-wallet` subcommand.
+ * @param {Array<string>} argv - The arguments after `encrypt-wallet`.
+ * @returns {object} The parsed options.
+ * @throws {Error} If an unknown flag or an invalid value is provided.
+ */
+function parseEncryptWalletArgs(argv) {
+  const { values } = parseArgs({ args: argv, options: ENCRYPT_WALLET_OPTIONS, strict: true });
+  return {
+    command: 'encrypt-wallet',
+    configPath: values.config || null,
+    ...parsePassphraseArgs(values),
+    help: values.help,
+  };
+}
+
+/**
+ * Parses the flags of the `backtest` subcommand.
+ * @param {Array<string>} argv - The arguments after `backtest`.
+ * @returns {object} The parsed backtest options.
+ * @throws {Error} If an unknown flag or an invalid value is provided.
+ */
+function parseBacktestArgs(argv) {
+  const { values } = parseArgs({ args: argv, options: BACKTEST_OPTIONS, strict: true });
+
+  // Custom strategy names are checked once the strategies are loaded
+  const modes = values.modes?.split(',').map(raw => resolveAppMode(raw) || raw.trim()) || null;
+
+  const amounts = values.amounts?.split(',').map(raw => parsePositiveNumber('amounts', raw)) || null;
+
+  const sizing = values.sizing?.split(',').map(raw => {
+    const mode = raw.trim().toLowerCase();
+    if (!Object.values(SIZING_MODES).includes(mode)) {
+      throw new Error(`invalid sizing mode "${raw}" in --sizing (expected: ${Object.values(SIZING_MODES).join(', ')})`);
+    }
+    return mode;
+  }) || null;
+
+  return {
+    command: 'backtest',
+    configPath: values.config || null,
+    historyDir: values.history || null,
+    modes,
+    amounts,
+    sizing,
+    bankroll: values.bankroll !== undefined ? parsePositiveNumber('bankroll', values.bankroll) : 1,
+    triggerSeconds: values.trigger !== undefined ? parsePositiveNumber('trigger', values.trigger) : null,
+    lastRounds: values.rounds !== undefined ? Math.floor(parsePositiveNumber('rounds', values.rounds)) : null,
+    out: values.out || null,
+    details: values.details,
+    help: values.help,
+  };
+}
+
+// --- Public Functions ---
+
+/**
+ * Parses and validates the command-line arguments.
+ * @param {Array<string>} argv - The raw arguments (usually process.argv.slice(2)).
+ * @returns {object} The parsed options.
+ * @throws {Error} If an unknown flag or an invalid value is provided.
+ */
+export function parseCliArgs(argv) {
+  // 1. Dispatch subcommands
+  if (argv[0] === 'backtest') {
+    return parseBacktestArgs(argv.slice(1));
+  }
+  if (argv[0] === 'encrypt-wallet') {
+    return parseEncryptWalletArgs(argv.slice(1));
+  }
+
+  // 2. Parse raw flags
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true });
+
+  // 3. Resolve the automation mode
+  let mode = null;
+  if (values.mode !== undefined) {
+    mode = resolveAppMode(values.mode);
+    if (!mode) {
+      throw new Error(`invalid --mode "${values.mode}" (expected one of: ${Object.keys(MODE_ALIASES).join(', ')})`);
+    }
+  }
+
+  // 4. Resolve the speculation and audio toggles: null keeps the config's setting
+  const speculate = resolveToggle(values, 'speculate');
+  const audio = resolveToggle(values, 'audio');
+
+  // 5. Validate the deploy amount and fee percentile
+  let amount = null;
+  if (values.amount !== undefined) {
+    amount = parsePositiveNumber('amount', values.amount);
+  }
+
+  let feePercentile = null;
+  if (values['fee-percentile'] !== undefined) {
+    feePercentile = Number(values['fee-percentile']);
+    if (!Number.isInteger(feePercentile) || feePercentile < 0 || feePercentile > 100) {
+      throw new Error(`invalid --fee-percentile "${values['fee-percentile']}" (expected an integer from 0 to 100)`);
+    }
+  }
+
+  return {
+    command: 'run',
+    headless: values.headless,
+    configPath: values.config || null,
+    mode,
+    strategy: values.strategy || null,
+    amount,
+    speculate,
+    audio,
+    feePercentile,
+    logFile: values['log-file'] || null,
+    ...parsePassphraseArgs(values),
+    help: values.help,
+  };
+}
+
+/**
+ * Converts the runtime flags that were explicitly passed into config overrides.
+ * @param {object} options - The options returned by `parseCliArgs`.
+ * @returns {{ overrides: object, overrideLabels: object }} Arguments for `loadConfig`.
+ */
+export function getConfigOverrides(options) {
+  const automation = {};
+  const overrideLabels = {};
+
+  if (options.command !== 'run') {
+    return { overrides: {}, overrideLabels };
+  }
+
+  if (options.mode) {
+    automation.mode = options.mode;
+    overrideLabels['automation.mode'] = '--mode';
+  }
+
+  if (options.strategy) {
+    automation.strategy = options.strategy;
+    overrideLabels['automation.strategy'] = '--strategy';
+  }
+
+  if (options.amount !== null) {
+    automation.deployAmount = options.amount;
+    overrideLabels['automation.deployAmount'] = '--amount';
+  }
+
+  if (options.speculate !== null) {
+    automation.speculate = options.speculate;
+    overrideLabels['automation.speculate'] = options.speculate ? '--speculate' : '--no-speculate';
+  }
+
+  if (options.audio !== null) {
+    automation.audio = options.audio;
+    overrideLabels['automation.audio'] = options.audio ? '--audio' : '--no-audio';
+  }
+
+  const fees = {};
+  if (options.feePercentile !== null) {
+    fees.priorityFeePercentile = options.feePercentile;
+    overrideLabels['fees.priorityFeePercentile'] = '--fee-percentile';
+  }
+
+  return { overrides: { automation, fees }, overrideLabels };
+}
@@ -0,0 +1,163 @@
+/**
+ * @file clock.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Slot clock shared by the game loop and the transaction sender.
+ * Follows the chain with a `slotSubscribe` subscription and measures the
+ * real slot duration from it, instead of assuming 400ms per slot. While
+ * the subscription is silent, the slot is estimated from the last one
+ * seen at the measured duration, and resynced from the RPC every few
+ * seconds, which also keeps correcting the duration. The skew (how far
+ * the estimate was off when a real slot arrived) is tracked for display.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { MS_PER_SLOT } from './constants.mjs';
+import { log } from './utils.mjs';
+
+// --- Constants ---
+const SUBSCRIPTION_SILENT_MS = 2_000;  // No notification for this long: estimate instead
+const FALLBACK_RESYNC_MS = 10_000;     // Re-fetch the slot from the RPC this often while estimating
+const SLOT_TIME_WEIGHT = 0.05;         // EWMA weight of the newest slot duration sample
+const SKEW_WEIGHT = 0.2;               // EWMA weight of the newest skew sample
+const MIN_MS_PER_SLOT = 200;           // Bounds on a single duration sample, against bursts and stalls
+const MAX_MS_PER_SLOT = 1_000;
+
+// --- Module-level Variables ---
+let clockConnection = null;
+let lastSlot = 0;
+let lastSlotAt = 0;
+let lastSource = null;          // 'subscription' or 'rpc'
+let lastNotificationAt = 0;
+let lastRpcSyncAt = 0;
+let msPerSlot = MS_PER_SLOT;
+let skewSlots = 0;
+let silentLogged = false;
+
+// --- Private Helper Functions ---
+
+/**
+ * Applies an authoritative slot: measures the slot duration against the
+ * previous slot from the same source, records the skew of the estimate,
+ * and restarts the estimate from it.
+ * @param {number} slot - The current slot.
+ * @param {string} source - 'subscription' or 'rpc'.
+ */
+function recordSlot(slot, source) {
+  const now = Date.now();
+
+  // 1. Slot duration, from two observations of the same source
+  if (lastSource === source && slot > lastSlot) {
+    const sample = (now - lastSlotAt) / (slot - lastSlot);
+    const bounded = Math.min(MAX_MS_PER_SLOT, Math.max(MIN_MS_PER_SLOT, sample));
+    msPerSlot = msPerSlot * (1 - SLOT_TIME_WEIGHT) + bounded * SLOT_TIME_WEIGHT;
+  }
+
+  // 2. How far off the estimate was
+  if (lastSlot !== 0) {
+    skewSlots = skewSlots * (1 - SKEW_WEIGHT) + (estimateSlot() - slot) * SKEW_WEIGHT;
+  }
+
+  lastSlot = slot;
+  lastSlotAt = now;
+  lastSource = source;
+}
+
+/**
+ * Checks whether slot notifications are arriving.
+ * @returns {boolean} True if a notification arrived recently.
+ */
+function isSubscriptionLive() {
+  return Date.now() - lastNotificationAt <= SUBSCRIPTION_SILENT_MS;
+}
+
+// --- Public Functions ---
+
+/**
+ * Starts the clock: subscribes to slot changes on the connection
+ * (the RPC pool moves the subscription over on failover).
+ * @param {Connection} connection - The Solana connection object.
+ */
+export function initSlotClock(connection) {
+  clockConnection = connection;
+
+  connection.onSlotChange(({ slot }) => {
+    lastNotificationAt = Date.now();
+    if (silentLogged) {
+      log('slot clock: subscription is live again');
+      silentLogged = false;
+    }
+    recordSlot(slot, 'subscription');
+  });
+}
+
+/**
+ * Estimates the current slot from the last one seen, without any RPC call.
+ * @returns {number} The estimated current slot, or 0 if no slot was seen yet.
+ */
+export function estimateSlot() {
+  if (lastSlot === 0) return 0;
+  return lastSlot + Math.floor((Date.now() - lastSlotAt) / msPerSlot);
+}
+
+/**
+ * Resyncs the clock from a slot observed elsewhere (e.g. in the context of
+ * an RPC response), if it is ahead of the estimate. Lagging RPC contexts
+ * never pull the clock back.
+ * @param {number} slot - The observed current slot.
+ */
+export function observeSlot(slot) {
+  if (slot > estimateSlot()) {
+    lastSlot = slot;
+    lastSlotAt = Date.now();
+  }
+}
+
+/**
+ * Returns the measured duration of a slot.
+ * @returns {number} Milliseconds per slot.
+ */
+export function getMsPerSlot() {
+  return msPerSlot;
+}
+
+/**
+ * Returns the current slot: the subscription's, or while it is silent, an
+ * estimate resynced from the RPC every few seconds.
+ * @returns {Promise<number>} The current slot (0 if it cannot be known yet).
+ */
+export async function getOrEstimateSlot() {
+  const now = Date.now();
+  if (isSubscriptionLive()) {
+    return estimateSlot();
+  }
+
+  if (!silentLogged && lastNotificationAt !== 0) {
+    log('slot clock: subscription silent, estimating from the rpc');
+    silentLogged = true;
+  }
+
+  // Fallback: resync from the RPC, which also corrects the measured slot duration
+  if (lastSlot === 0 || now - lastRpcSyncAt > FALLBACK_RESYNC_MS) {
+    try {
+      lastRpcSyncAt = now;
+      recordSlot(await clockConnection.getSlot(), 'rpc');
+    } catch (e) {
+      // If RPC fails, fallback to estimation based on last known data
+    }
+  }
+
+  return estimateSlot();
+}
+
+/**
+ * Returns the clock status for display.
+ * @returns {{ live: boolean, msPerSlot: number, skewSlots: number }} Whether the
+ * subscription is live, the measured slot duration, and the average skew of the
+ * estimate in slots (positive: the estimate ran ahead of the chain).
+ */
+export function getSlotClockStatus() {
+  return { live: isSubscriptionLive(), msPerSlot, skewSlots };
+}
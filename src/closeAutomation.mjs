@@ -7,14 +7,15 @@
 import { Transaction, TransactionInstruction, sendAndConfirmTransaction } from '@solana/web3.js';
 import { ORE_PROGRAM_ID, SYSTEM_PROGRAM_ID } from './constants.mjs';
 import { getAutomationPda } from './solana.mjs';
-import { loadSigner } from './wallet.mjs';
+import { unlockSigner, loadSigner } from './wallet.mjs';
 import { initConnection } from './solana.mjs';
 
 async function closeAutomation() {
   try {
     // 1. Init Connection and Load Signer
     const connection = initConnection();
-    const signer = loadSigner();
+    await unlockSigner();
+    const signer = await loadSigner(connection);
 
     if (!signer) {
       console.error('ERROR: Signer not loaded. Check wallet.mjs and ~/.config/solana/id.json');
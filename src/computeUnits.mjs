@@ -0,0 +1,108 @@
+/**
+ * @file computeUnits.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Compute unit sizing for deploy transactions.
+ * Simulates deploy transactions with `simulateTransaction` to measure
+ * the compute units they really use, and caches the result per
+ * instruction shape (deploy only or checkpoint + deploy, the number of
+ * Deploy instructions, and the number of squares they cover, since the
+ * Deploy instruction does work per square). Deploys then request the
+ * measured usage plus a safety margin instead of a fixed limit, which
+ * keeps the priority fee (charged on the requested limit) down.
+ * Simulations run ahead of time or in the background, never in the path
+ * of a deploy.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { ComputeBudgetProgram, Transaction } from '@solana/web3.js';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { decodeTransactionError } from './errors.mjs';
+
+// --- Constants ---
+const MAX_COMPUTE_UNITS = 1_400_000;
+
+// --- Module-level Variables ---
+const measuredUnits = new Map(); // shape -> units consumed
+const pendingShapes = new Set(); // shapes being simulated
+
+// --- Public Functions ---
+
+/**
+ * Returns the cache key of a deploy transaction's instruction shape.
+ * @param {boolean} hasCheckpoint - Whether the transaction starts with a Checkpoint instruction.
+ * @param {number} deployCount - The number of Deploy instructions.
+ * @param {number} squareCount - The number of squares deployed to, across all Deploy instructions.
+ * @returns {string} e.g. "checkpoint+deploy x2, 5 squares".
+ */
+export function getDeployShape(hasCheckpoint, deployCount, squareCount) {
+  return `${hasCheckpoint ? 'checkpoint+' : ''}deploy x${deployCount}, ${squareCount} square${squareCount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Returns the compute unit limit to request for a shape: the measured usage
+ * plus `fees.computeUnitMargin`, or `fees.computeUnitLimit` until it is measured.
+ * @param {string} shape - The shape from `getDeployShape`.
+ * @returns {{ units: number, measured: boolean }} The limit, and whether it comes from a simulation.
+ */
+export function getComputeUnitLimit(shape) {
+  const { computeUnitLimit, simulateComputeUnits, computeUnitMargin } = getConfig().fees;
+  const units = measuredUnits.get(shape);
+
+  if (!simulateComputeUnits || units === undefined) {
+    return { units: computeUnitLimit, measured: false };
+  }
+  return {
+    units: Math.min(MAX_COMPUTE_UNITS, Math.ceil(units * (1 + computeUnitMargin))),
+    measured: true,
+  };
+}
+
+/**
+ * Simulates a transaction made of the given instructions and caches the
+ * compute units it consumed under its shape. Failed simulations are logged
+ * and leave the cache unchanged.
+ * @param {Connection} connection - The Solana connection object.
+ * @param {Array<TransactionInstruction>} instructions - The program instructions (without compute budget).
+ * @param {string} shape - The shape from `getDeployShape`.
+ * @param {PublicKey} feePayer - The fee payer of the simulated transaction.
+ * @returns {Promise<number|null>} The units consumed, or null if the simulation failed.
+ */
+export async function measureComputeUnits(connection, instructions, shape, feePayer) {
+  if (!getConfig().fees.simulateComputeUnits || pendingShapes.has(shape)) {
+    return null;
+  }
+  pendingShapes.add(shape);
+
+  try {
+    // 1. Same layout as a real deploy, with the highest limit so the measure is never cut short
+    const transaction = new Transaction();
+    transaction.add(ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }));
+    transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }));
+    instructions.forEach(ix => transaction.add(ix));
+    transaction.feePayer = feePayer;
+
+    // 2. Simulate without signing
+    const { value } = await connection.simulateTransaction(transaction);
+    if (value.err || !value.unitsConsumed) {
+      const reason = value.err ? decodeTransactionError(value.err, transaction.instructions).message : 'no units reported';
+      log(`compute unit simulation (${shape}) failed: ${reason}`);
+      return null;
+    }
+
+    const previous = measuredUnits.get(shape);
+    measuredUnits.set(shape, value.unitsConsumed);
+    if (previous === undefined) {
+      log(`compute units (${shape}): ${value.unitsConsumed} used, requesting ${getComputeUnitLimit(shape).units}`);
+    }
+    return value.unitsConsumed;
+  } catch (e) {
+    log(`compute unit simulation (${shape}) failed: ${e.message}`);
+    return null;
+  } finally {
+    pendingShapes.delete(shape);
+  }
+}
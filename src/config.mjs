@@ -0,0 +1,472 @@
+/**
+ * @file config.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Loads, validates and exposes the Lodestar configuration.
+ * Settings are resolved from (lowest to highest precedence) the built-in
+ * defaults, the `lodestar.config.json` file, `LODESTAR_*` environment
+ * variables and command-line flags. Every value is checked against
+ * `CONFIG_SCHEMA` at startup, and the effective configuration (with the
+ * source of each value) can be printed on launch.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import fs from 'fs';
+import path from 'path';
+import { APP_MODES, MODE_ALIASES, SIZING_MODES, CLAIM_POLICIES } from './constants.mjs';
+import { setAppMode, setAppState } from './state.mjs';
+
+// --- Constants ---
+export const DEFAULT_CONFIG_FILE = 'lodestar.config.json';
+const ENV_PREFIX = 'LODESTAR';
+
+/**
+ * The configuration schema, grouped by section.
+ * Each field declares its type, default value and validation bounds.
+ * The matching environment variable is `LODESTAR_<SECTION>_<FIELD>`
+ * (e.g. `rpc.url` -> `LODESTAR_RPC_URL`).
+ */
+const CONFIG_SCHEMA = {
+  rpc: {
+    url: { type: 'url', default: 'https://solana-rpc.parafi.tech' },
+    commitment: { type: 'enum', values: ['processed', 'confirmed', 'finalized'], default: 'confirmed' },
+    endpoints: { type: 'endpoints', default: [] },
+    healthCheckMs: { type: 'integer', min: 1_000, default: 10_000 },
+    maxSlotLag: { type: 'integer', min: 0, default: 10 },
+    broadcastCount: { type: 'integer', min: 1, default: 3 },
+    rebroadcastMs: { type: 'integer', min: 100, max: 5_000, default: 300 },
+    staleAfterMs: { type: 'integer', min: 5_000, default: 20_000 },
+  },
+  automation: {
+    mode: { type: 'mode', default: APP_MODES.IDLE },
+    strategy: { type: 'string', nullable: true, default: null },
+    deployAmount: { type: 'number', min: 0, exclusiveMin: true, default: 0.0001 },
+    speculate: { type: 'boolean', default: false },
+    audio: { type: 'boolean', default: false },
+    triggerSeconds: { type: 'number', min: 1, max: 60, default: 5 },
+    adaptiveTrigger: { type: 'boolean', default: false },
+    minTriggerSeconds: { type: 'number', min: 1, max: 60, default: 2 },
+    maxTriggerSeconds: { type: 'number', min: 1, max: 60, default: 10 },
+    triggerMarginSeconds: { type: 'number', min: 0, max: 10, default: 0.5 },
+  },
+  sizing: {
+    mode: { type: 'enum', values: Object.values(SIZING_MODES), default: SIZING_MODES.FLAT },
+    budget: { type: 'number', min: 0, exclusiveMin: true, default: 0.01 },
+    step: { type: 'number', min: 0.000001, default: 0.0001 },
+    maxInstructions: { type: 'integer', min: 1, max: 25, default: 5 },
+    percent: { type: 'number', min: 0, exclusiveMin: true, max: 1, default: 0.01 },
+    kellyFraction: { type: 'number', min: 0, exclusiveMin: true, max: 1, default: 0.25 },
+    minAmount: { type: 'number', min: 0, default: 0 },
+    maxAmount: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+  },
+  guardrails: {
+    maxPerRound: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+    maxPerHour: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+    maxPerDay: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+    stopLoss: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+    takeProfit: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: null },
+    reserve: { type: 'number', min: 0, default: 0 },
+  },
+  prices: {
+    updateMs: { type: 'integer', min: 5_000, default: 60_000 },
+    maxDeviation: { type: 'number', min: 0, exclusiveMin: true, max: 1, default: 0.05 },
+    maxAgeMs: { type: 'integer', min: 5_000, default: 180_000 },
+    maxMove: { type: 'number', min: 0, exclusiveMin: true, nullable: true, default: 0.2 },
+    ammOreVault: { type: 'string', nullable: true, default: null },
+    ammSolVault: { type: 'string', nullable: true, default: null },
+  },
+  claim: {
+    policy: { type: 'enum', values: Object.values(CLAIM_POLICIES), default: CLAIM_POLICIES.INTERVAL },
+    feeMultiple: { type: 'number', min: 1, default: 20 },
+    intervalMs: { type: 'integer', min: 10_000, default: 5 * 60 * 1000 },
+    minThreshold: { type: 'number', min: 0, default: 0.001 },
+    oreEnabled: { type: 'boolean', default: false },
+    oreMinThreshold: { type: 'number', min: 0, default: 1 },
+  },
+  ledger: {
+    enabled: { type: 'boolean', default: true },
+    dir: { type: 'string', default: 'ledger' },
+  },
+  paper: {
+    file: { type: 'string', default: 'paper-trades.jsonl' },
+  },
+  history: {
+    enabled: { type: 'boolean', default: true },
+    dir: { type: 'string', default: 'history' },
+    snapshots: { type: 'boolean', default: true },
+    snapshotIntervalMs: { type: 'integer', min: 0, default: 2_000 },
+  },
+  strategies: {
+    dir: { type: 'string', default: 'strategies' },
+  },
+  swarm: {
+    enabled: { type: 'boolean', default: false },
+    dir: { type: 'string', default: 'wallets' },
+    wallets: { type: 'swarmWallets', default: [] },
+  },
+  fees: {
+    computeUnitLimit: { type: 'integer', min: 1, max: 1_400_000, default: 750_000 },
+    simulateComputeUnits: { type: 'boolean', default: true },
+    computeUnitMargin: { type: 'number', min: 0, max: 1, default: 0.1 },
+    computeUnitPriceMicroLamports: { type: 'integer', min: 0, default: 100_000 },
+    priorityFeeMode: { type: 'enum', values: ['dynamic', 'fixed'], default: 'dynamic' },
+    priorityFeePercentile: { type: 'integer', min: 0, max: 100, default: 75 },
+    maxPriorityFeeLamports: { type: 'integer', min: 0, default: 100_000 },
+    priorityFeeRefreshMs: { type: 'integer', min: 1_000, default: 10_000 },
+  },
+};
+
+// --- Module-level Variables ---
+let config = null;
+let configSources = {};
+let configFilePath = null;
+
+// --- Private Helper Functions ---
+
+/**
+ * Converts a camelCase field name to SCREAMING_SNAKE_CASE.
+ * @param {string} name - The field name.
+ * @returns {string} The converted name.
+ */
+function toEnvName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Returns the environment variable name for a config field.
+ * @param {string} section - The section name.
+ * @param {string} field - The field name.
+ * @returns {string} The variable name (e.g. `LODESTAR_CLAIM_INTERVAL_MS`).
+ */
+function getEnvVarName(section, field) {
+  return `${ENV_PREFIX}_${toEnvName(section)}_${toEnvName(field)}`;
+}
+
+/**
+ * Resolves a mode string (alias or full name) to its APP_MODES value.
+ * @param {string} value - The mode as typed by the user (e.g. "3x").
+ * @returns {string|null} The APP_MODES value, or null if unknown.
+ */
+export function resolveAppMode(value) {
+  const key = String(value).trim().toLowerCase();
+  return MODE_ALIASES[key]
+    || Object.values(APP_MODES).find(m => m.toLowerCase() === key)
+    || null;
+}
+
+/**
+ * Converts an environment variable string to the type a field expects.
+ * @param {object} spec - The field schema.
+ * @param {string} raw - The raw string value.
+ * @returns {*} The coerced value (left as-is if it cannot be converted).
+ */
+function coerceEnvValue(spec, raw) {
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      return raw.trim() === '' ? raw : Number(raw);
+    case 'endpoints':
+      return raw.split(',').map(url => url.trim()).filter(Boolean);
+    case 'swarmWallets':
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        return raw;
+      }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Validates and normalizes a single value against its field schema.
+ * @param {object} spec - The field schema.
+ * @param {*} value - The value to check.
+ * @returns {{ value: *, error: string|null }} The normalized value, or an error message.
+ */
+function validateField(spec, value) {
+  if (spec.nullable && value === null) {
+    return { value, error: null };
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        return { value, error: 'must be a non-empty string' };
+      }
+      return { value, error: null };
+
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+        return { value, error: 'must be an http(s):// URL' };
+      }
+      return { value, error: null };
+
+    case 'endpoints': {
+      // A list of URLs, or of { http, ws } objects for a separate websocket URL
+      if (!Array.isArray(value)) {
+        return { value, error: 'must be an array of URLs or { "http": ..., "ws": ... } objects' };
+      }
+      const normalized = [];
+      for (const [i, entry] of value.entries()) {
+        const http = typeof entry === 'string' ? entry : entry?.http;
+        const ws = typeof entry === 'string' ? null : (entry?.ws ?? null);
+        if (typeof http !== 'string' || !/^https?:\/\/\S+$/.test(http)) {
+          return { value, error: `entry ${i} must have an http(s):// URL` };
+        }
+        if (ws !== null && (typeof ws !== 'string' || !/^wss?:\/\/\S+$/.test(ws))) {
+          return { value, error: `entry ${i} must have a ws(s):// websocket URL` };
+        }
+        normalized.push({ http, ws });
+      }
+      return { value: normalized, error: null };
+    }
+
+    case 'swarmWallets': {
+      // Per-wallet overrides: { name, mode?, amount?, squares? }
+      if (!Array.isArray(value)) {
+        return { value, error: 'must be an array of { "name": ..., "mode"?, "amount"?, "squares"? } objects' };
+      }
+      const normalized = [];
+      for (const [i, entry] of value.entries()) {
+        if (typeof entry?.name !== 'string' || entry.name.length === 0) {
+          return { value, error: `entry ${i} must have a non-empty "name"` };
+        }
+        if (entry.mode !== undefined && (typeof entry.mode !== 'string' || entry.mode.length === 0)) {
+          return { value, error: `entry ${i} "mode" must be a mode or strategy name` };
+        }
+        if (entry.amount !== undefined && (typeof entry.amount !== 'number' || !(entry.amount > 0))) {
+          return { value, error: `entry ${i} "amount" must be a number greater than 0` };
+        }
+        if (entry.squares !== undefined && (!Array.isArray(entry.squares) || entry.squares.length === 0
+          || entry.squares.some(id => !Number.isInteger(id) || id < 1 || id > 25))) {
+          return { value, error: `entry ${i} "squares" must be a non-empty array of square ids 1-25` };
+        }
+        normalized.push({
+          name: entry.name,
+          // Built-in modes accept the same aliases as automation.mode; anything else is a strategy name
+          mode: entry.mode === undefined ? null : (resolveAppMode(entry.mode) || entry.mode),
+          amount: entry.amount ?? null,
+          squares: entry.squares ?? null,
+        });
+      }
+      return { value: normalized, error: null };
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { value, error: 'must be true or false' };
+      }
+      return { value, error: null };
+
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        return { value, error: `must be one of: ${spec.values.join(', ')}` };
+      }
+      return { value, error: null };
+
+    case 'mode': {
+      const mode = typeof value === 'string' ? resolveAppMode(value) : null;
+      if (!mode) {
+        return { value, error: `must be one of: ${Object.keys(MODE_ALIASES).join(', ')}` };
+      }
+      return { value: mode, error: null };
+    }
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return { value, error: `must be a${spec.type === 'integer' ? 'n integer' : ' number'}` };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { value, error: 'must be an integer' };
+      }
+      if (spec.min !== undefined && (spec.exclusiveMin ? value <= spec.min : value < spec.min)) {
+        return { value, error: `must be ${spec.exclusiveMin ? 'greater than' : 'at least'} ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { value, error: `must be at most ${spec.max}` };
+      }
+      return { value, error: null };
+    }
+
+    default:
+      return { value, error: `has an unsupported schema type "${spec.type}"` };
+  }
+}
+
+/**
+ * Reads and parses the JSON configuration file.
+ * @param {string} filePath - Absolute path of the file.
+ * @returns {object} The parsed file contents.
+ * @throws {Error} If the file cannot be read or is not a JSON object.
+ */
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`invalid config file ${filePath}: ${e.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`invalid config file ${filePath}: expected a JSON object at the top level`);
+  }
+  return parsed;
+}
+
+/**
+ * Formats a value for the effective config printout.
+ * @param {*} value - The value.
+ * @returns {string} A display string.
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// --- Public Functions ---
+
+/**
+ * Loads the configuration from defaults, file, environment and overrides.
+ * Collects every validation problem and throws them together.
+ * @param {object} [options]
+ * @param {string|null} [options.configPath] - Explicit config file path (e.g. from `--config`).
+ * @param {object} [options.overrides] - Values from command-line flags, as `{ section: { field: value } }`.
+ * @param {object} [options.overrideLabels] - Display labels for overrides, as `{ 'section.field': '--flag' }`.
+ * @returns {object} The validated configuration.
+ * @throws {Error} If the file is invalid or any value fails validation.
+ */
+export function loadConfig({ configPath = null, overrides = {}, overrideLabels = {} } = {}) {
+  const errors = [];
+  const result = {};
+  const sources = {};
+
+  // 1. Locate and read the config file
+  const explicitPath = configPath || process.env[`${ENV_PREFIX}_CONFIG`] || null;
+  const filePath = path.resolve(process.cwd(), explicitPath || DEFAULT_CONFIG_FILE);
+  let fileConfig = {};
+
+  if (fs.existsSync(filePath)) {
+    fileConfig = readConfigFile(filePath);
+    configFilePath = filePath;
+  } else if (explicitPath) {
+    throw new Error(`config file not found: ${filePath}`);
+  } else {
+    configFilePath = null;
+  }
+
+  // 2. Reject unknown sections and fields in the file
+  for (const [section, fields] of Object.entries(fileConfig)) {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(`unknown section "${section}" (expected one of: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      continue;
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push(`"${section}" must be an object`);
+      continue;
+    }
+    for (const field of Object.keys(fields)) {
+      if (!CONFIG_SCHEMA[section][field]) {
+        errors.push(`unknown field "${section}.${field}"`);
+      }
+    }
+  }
+
+  // 3. Resolve every field: default < file < env < overrides
+  for (const [section, fields] of Object.entries(CONFIG_SCHEMA)) {
+    result[section] = {};
+
+    for (const [field, spec] of Object.entries(fields)) {
+      const key = `${section}.${field}`;
+      const envName = getEnvVarName(section, field);
+      let value = spec.default;
+      let rawValue = value;
+      let source = 'default';
+
+      const fileSection = fileConfig[section];
+      if (fileSection && typeof fileSection === 'object' && fileSection[field] !== undefined) {
+        value = rawValue = fileSection[field];
+        source = 'file';
+      }
+
+      if (process.env[envName] !== undefined) {
+        rawValue = process.env[envName];
+        value = coerceEnvValue(spec, rawValue);
+        source = `env ${envName}`;
+      }
+
+      if (overrides[section]?.[field] !== undefined) {
+        value = rawValue = overrides[section][field];
+        source = overrideLabels[key] || 'cli';
+      }
+
+      const checked = validateField(spec, value);
+      if (checked.error) {
+        errors.push(`"${key}" ${checked.error} (got ${JSON.stringify(rawValue)} from ${source})`);
+      }
+
+      result[section][field] = checked.value;
+      sources[key] = source;
+    }
+  }
+
+  // 4. Report all problems at once
+  if (errors.length > 0) {
+    const where = configFilePath ? ` (${configFilePath})` : '';
+    throw new Error(`invalid configuration${where}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  config = result;
+  configSources = sources;
+  return config;
+}
+
+/**
+ * Returns the loaded configuration, loading defaults/file/env on first use.
+ * @returns {object} The configuration object.
+ */
+export function getConfig() {
+  if (!config) {
+    loadConfig();
+  }
+  return config;
+}
+
+/**
+ * Builds a human-readable listing of the effective configuration.
+ * @returns {Array<string>} One line per setting, with the source of its value.
+ */
+export function describeEffectiveConfig() {
+  const current = getConfig();
+  const lines = [`config file: ${configFilePath || `(none, ${DEFAULT_CONFIG_FILE} not found)`}`];
+
+  for (const [section, fields] of Object.entries(current)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const key = `${section}.${field}`;
+      lines.push(`  ${key.padEnd(40)} ${formatValue(value)} (${configSources[key]})`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Applies the runtime settings from the configuration to the app state.
+ * @param {object} [current] - The configuration (defaults to the loaded one).
+ */
+export function applyRuntimeSettings(current = getConfig()) {
+  const { mode, deployAmount, speculate, audio } = current.automation;
+
+  setAppMode(mode);
+  setAppState({
+    sizingMode: current.sizing.mode,
+    customDeployAmount: deployAmount,
+    isSpeculating: speculate,
+    isAudioEnabled: audio,
+  });
+}
@@ -4,8 +4,8 @@
  * @org Radiants @RadiantsDAO
  * @description Defines all global constants, static values, and magic numbers
  * for the Lodestar application. This includes Solana program IDs, seeds,
- * RPC endpoints, app mode definitions, and all parameters used in
- * the EV calculation models.
+ * app mode definitions, and all parameters used in the EV calculation
+ * models. User-tunable settings live in config.mjs.
  * @project lodestar-cli
  * @license MIT
  */
@@ -19,6 +19,9 @@ export const ENTROPY_PROGRAM_ID = new PublicKey('3jSkUuYBoJzQPMEzTvkDFXCZUBksPam
 export const ORE_VAR_ADDRESS = new PublicKey('BWCaDY96Xe4WkFq1M7UiCCRcChsJ3p51L5KrGzhxgm2E');
 export const ORE_TOKEN_ADDRESS = 'oreoU2P8bN6jkk3jbaiVxYnG1dCXcYxwhwyK9jSybcp';
 export const SOL_TOKEN_ADDRESS = 'So11111111111111111111111111111111111111112';
+export const ORE_MINT = new PublicKey(ORE_TOKEN_ADDRESS);
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
 
 // --- Solana Account Seeds & Layout ---
 export const BOARD_SEED = Buffer.from("board");
@@ -29,13 +32,9 @@ export const TREASURY_SEED = Buffer.from("treasury");
 export const ACCOUNT_DISCRIMINATOR_SIZE = 8;
 
 // --- Network & Time Configuration ---
-export const RPC_URL = 'https://solana-rpc.parafi.tech';
-// export const RPC_URL = 'https://api.mainnet-beta.solana.com';
+// RPC endpoint, price/claim intervals and fees are user settings: see config.mjs
 export const MS_PER_SLOT = 400;
-export const PRICE_UPDATE_MS = 60_000; // 1 minute
 export const SOUND_COOLDOWN_MS = 5000;  // 5 seconds
-export const CLAIM_INTERVAL_MS = 5 * 60 * 1000; // 5 Minutes
-export const MIN_CLAIM_THRESHOLD = 0.001;
 
 // --- Application Logic ---
 export const APP_MODES = {
@@ -46,6 +45,29 @@ export const APP_MODES = {
   THIRTEEN_X_EV: '13x EV',
   TWENTY_FIVE_X_EV: '25x EV',
 };
+// Short names accepted for APP_MODES on the command line and in the config file
+export const MODE_ALIASES = {
+  'idle': APP_MODES.IDLE,
+  '1x': APP_MODES.ONE_X_EV,
+  '3x': APP_MODES.THREE_X_EV,
+  '5x': APP_MODES.FIVE_X_EV,
+  '13x': APP_MODES.THIRTEEN_X_EV,
+  '25x': APP_MODES.TWENTY_FIVE_X_EV,
+};
+// How the built-in strategies size each target (see sizing.mjs)
+export const SIZING_MODES = {
+  FLAT: 'flat',             // the same deploy amount on every target
+  EV_OPTIMAL: 'ev-optimal', // each square's y* from the EV model, capped by a budget
+  PERCENT: 'percent',       // a fixed percentage of the bankroll per target
+  KELLY: 'kelly',           // fractional Kelly from each square's win probability and payout
+};
+// When the automatic claims run (see claimPolicy.mjs)
+export const CLAIM_POLICIES = {
+  INTERVAL: 'interval',             // every claim.intervalMs, above the minimum threshold
+  FEE_MULTIPLE: 'fee-multiple',     // as interval, once the claim is worth claim.feeMultiple times its fee
+  BETWEEN_ROUNDS: 'between-rounds', // as interval, but only while no round is running
+  NEVER: 'never',                   // manual claims only
+};
 export const DELTA_THRESHOLD_SOL = 0.6; // SOL difference to trigger pool delta alert
 
 // --- Game Mechanics & EV Model Parameters ---
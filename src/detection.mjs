@@ -4,7 +4,8 @@
  * @org Radiants @RadiantsDAO
  * @description Contains the logic for analyzing the game board state.
  * This module's `analyzeBoardState` function parses the raw round data
- * to compute the EV and SOL/player ratio for all 25 squares, then
+ * to compute the EV, the optimal deployment (y*) and the SOL/player
+ * ratio for all 25 squares, then
  * sorts them to identify the most profitable targets for the
  * automation logic.
  * @project lodestar-cli
@@ -63,12 +64,13 @@ export function analyzeBoardState(roundData) {
 
     // Calculate Expected Value (EV)
     const O = sol; // SOL deployed by others (in this context, the total in the square)
-    const { EV } = computeEVStarForBlock(O, T, oreValueInSOL);
+    const { y, EV } = computeEVStarForBlock(O, T, oreValueInSOL);
     const evValue = isFinite(EV) ? EV : -Infinity;
     evs.push({
       id: squareIndex + 1,
       sol,
       ev: evValue,
+      y,
     });
 
     // Store combined data
@@ -78,6 +80,7 @@ export function analyzeBoardState(roundData) {
       count: countVal,
       ratio,
       ev: evValue,
+      y,
     });
   }
 
@@ -0,0 +1,231 @@
+/**
+ * @file errors.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Decodes transaction failures into named errors.
+ * Understands the three forms web3.js and the sender surface them in:
+ * the `TransactionError` JSON of a landed transaction ("Transaction <sig>
+ * failed ({...})"), the text of a failed preflight simulation, and the
+ * sender's own give-up reasons. ORE custom error codes are mapped to their
+ * names, and the failing instruction index is mapped to the instruction
+ * (e.g. "Deploy") from the transaction that was sent, so callers can
+ * branch on `TX_ERRORS` instead of matching substrings.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { ComputeBudgetProgram, SystemProgram } from '@solana/web3.js';
+import { ORE_PROGRAM_ID, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } from './constants.mjs';
+
+// --- Constants ---
+export const TX_ERRORS = {
+  ROUND_ENDED: 'RoundEnded',                 // the sender gave up at the round's end slot
+  BLOCKHASH_EXPIRED: 'BlockhashExpired',     // the sender gave up when the blockhash expired
+  BLOCKHASH_NOT_FOUND: 'BlockhashNotFound',
+  INSUFFICIENT_FUNDS_FOR_FEE: 'InsufficientFundsForFee',
+  ACCOUNT_NOT_FOUND: 'AccountNotFound',
+  INVALID_ACCOUNT_DATA: 'InvalidAccountData',
+  INSUFFICIENT_FUNDS: 'InsufficientFunds',
+  MISSING_SIGNATURE: 'MissingRequiredSignature',
+  COMPUTE_EXHAUSTED: 'ComputationalBudgetExceeded',
+  AMOUNT_TOO_SMALL: 'AmountTooSmall',        // ORE custom error 0
+  NOT_AUTHORIZED: 'NotAuthorized',           // ORE custom error 1
+  UNKNOWN_CUSTOM: 'UnknownCustomError',
+  UNKNOWN: 'Unknown',
+};
+
+// ORE v3 `OreError` custom program error codes
+const ORE_CUSTOM_ERRORS = {
+  0: { name: TX_ERRORS.AMOUNT_TOO_SMALL, message: 'amount too small' },
+  1: { name: TX_ERRORS.NOT_AUTHORIZED, message: 'not authorized' },
+};
+
+// ORE v3 instruction discriminators (first byte of the instruction data)
+const ORE_INSTRUCTIONS = {
+  2: 'Checkpoint',
+  3: 'ClaimSOL',
+  4: 'ClaimORE',
+  6: 'Deploy',
+  8: 'CloseAutomation',
+};
+
+// Human-readable messages for the named errors
+const ERROR_MESSAGES = {
+  [TX_ERRORS.ROUND_ENDED]: 'not landed before the round ended',
+  [TX_ERRORS.BLOCKHASH_EXPIRED]: 'not landed before the blockhash expired',
+  [TX_ERRORS.BLOCKHASH_NOT_FOUND]: 'blockhash not found',
+  [TX_ERRORS.INSUFFICIENT_FUNDS_FOR_FEE]: 'insufficient funds for the transaction fee',
+  [TX_ERRORS.ACCOUNT_NOT_FOUND]: 'fee payer account not found (unfunded wallet)',
+  [TX_ERRORS.INVALID_ACCOUNT_DATA]: 'invalid account data',
+  [TX_ERRORS.INSUFFICIENT_FUNDS]: 'insufficient funds',
+  [TX_ERRORS.MISSING_SIGNATURE]: 'missing required signature',
+  [TX_ERRORS.COMPUTE_EXHAUSTED]: 'compute unit limit exceeded',
+};
+
+// Extra context for errors whose meaning depends on the instruction
+const INSTRUCTION_HINTS = {
+  [`Deploy:${TX_ERRORS.INVALID_ACCOUNT_DATA}`]: 'the round has ended, or the automation account is stale',
+  [`ClaimSOL:${TX_ERRORS.AMOUNT_TOO_SMALL}`]: 'nothing to claim',
+  [`ClaimORE:${TX_ERRORS.AMOUNT_TOO_SMALL}`]: 'nothing to claim',
+};
+
+// Preflight simulation texts (Rust `Display` of the error) mapped to names
+const PREFLIGHT_TEXTS = [
+  ['invalid account data for instruction', TX_ERRORS.INVALID_ACCOUNT_DATA],
+  ['insufficient funds for instruction', TX_ERRORS.INSUFFICIENT_FUNDS],
+  ['missing required signature for instruction', TX_ERRORS.MISSING_SIGNATURE],
+  ['Computational budget exceeded', TX_ERRORS.COMPUTE_EXHAUSTED],
+  ['exceeded CUs meter', TX_ERRORS.COMPUTE_EXHAUSTED],
+  ['Blockhash not found', TX_ERRORS.BLOCKHASH_NOT_FOUND],
+  ['insufficient funds for fee', TX_ERRORS.INSUFFICIENT_FUNDS_FOR_FEE],
+  ['Attempt to debit an account but found no record of a prior credit', TX_ERRORS.ACCOUNT_NOT_FOUND],
+];
+
+// Sender give-up reasons (see sender.mjs)
+const SENDER_REASONS = {
+  round_ended: TX_ERRORS.ROUND_ENDED,
+  expired: TX_ERRORS.BLOCKHASH_EXPIRED,
+};
+
+// --- Private Helper Functions ---
+
+/**
+ * Names an instruction of a transaction.
+ * @param {Array<TransactionInstruction>} instructions - The transaction's instructions.
+ * @param {number|null} index - The instruction index.
+ * @returns {string|null} e.g. "Deploy", "ComputeBudget", "Token", or null if unknown.
+ */
+function nameInstruction(instructions, index) {
+  const ix = index === null ? null : instructions[index];
+  if (!ix) return null;
+
+  if (ix.programId.equals(ORE_PROGRAM_ID)) {
+    return ORE_INSTRUCTIONS[ix.data[0]] || `ORE instruction ${ix.data[0]}`;
+  }
+  if (ix.programId.equals(ComputeBudgetProgram.programId)) return 'ComputeBudget';
+  if (ix.programId.equals(SystemProgram.programId)) return 'System';
+  if (ix.programId.equals(TOKEN_PROGRAM_ID)) return 'Token';
+  if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) return 'AssociatedToken';
+  return null;
+}
+
+/**
+ * Names the error inside an `InstructionError`.
+ * @param {string|object} inner - e.g. "InvalidAccountData" or { Custom: 1 }.
+ * @param {boolean} isOre - Whether the failing instruction belongs to the ORE program.
+ * @returns {{ name: string, code: number|null }} The name, and the custom code if any.
+ */
+function nameInstructionError(inner, isOre) {
+  if (inner && typeof inner === 'object' && 'Custom' in inner) {
+    const code = inner.Custom;
+    return { name: (isOre && ORE_CUSTOM_ERRORS[code]?.name) || TX_ERRORS.UNKNOWN_CUSTOM, code };
+  }
+  const name = typeof inner === 'string' ? inner : JSON.stringify(inner);
+  return { name, code: null };
+}
+
+/**
+ * Parses the `TransactionError` JSON out of a web3.js "Transaction <sig> failed ({...})" message.
+ * @param {string} message - The error message.
+ * @returns {string|object|null} The `err` value, or null.
+ */
+function parseStatusError(message) {
+  const json = message.match(/failed \((\{.*\})\)/s)?.[1];
+  if (!json) return null;
+  try {
+    const status = JSON.parse(json);
+    return status.err ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parses a failed preflight simulation message.
+ * @param {string} message - The error message.
+ * @returns {{ index: number|null, name: string, code: number|null }|null} The parsed error, or null.
+ */
+function parsePreflightError(message) {
+  const instructionMatch = message.match(/Error processing Instruction (\d+): ([^.\n]+)/);
+  const index = instructionMatch ? Number(instructionMatch[1]) : null;
+
+  const customMatch = message.match(/custom program error: 0x([0-9a-fA-F]+)/);
+  if (customMatch) {
+    return { index, name: null, code: parseInt(customMatch[1], 16) };
+  }
+
+  const known = PREFLIGHT_TEXTS.find(([text]) => message.includes(text));
+  if (known) {
+    return { index, name: known[1], code: null };
+  }
+  return instructionMatch ? { index, name: instructionMatch[2].trim(), code: null } : null;
+}
+
+// --- Public Functions ---
+
+/**
+ * Decodes a transaction failure into a named error.
+ * @param {Error|object|string} error - A thrown error, or a raw `TransactionError` value (e.g. `meta.err`).
+ * @param {Array<TransactionInstruction>} [instructions] - The instructions of the transaction that failed.
+ * @returns {{ name: string, code: number|null, instructionIndex: number|null, instruction: string|null, message: string }}
+ * The decoded error. `message` is a one-line description for logs and the ledger.
+ */
+export function decodeTransactionError(error, instructions = []) {
+  const decoded = { name: TX_ERRORS.UNKNOWN, code: null, instructionIndex: null, instruction: null, message: '' };
+  const isOreAt = index => index !== null && !!instructions[index]?.programId.equals(ORE_PROGRAM_ID);
+
+  // 1. Find the raw error: the sender's reason, a TransactionError value, or a preflight text
+  let txError = null;
+  let preflight = null;
+  const rawMessage = error instanceof Error ? error.message : '';
+
+  if (error?.reason && SENDER_REASONS[error.reason]) {
+    decoded.name = SENDER_REASONS[error.reason];
+  } else if (error && !(error instanceof Error)) {
+    txError = error;
+  } else {
+    txError = parseStatusError(rawMessage);
+    if (!txError) preflight = parsePreflightError(rawMessage);
+  }
+
+  // 2. Name it
+  if (txError && typeof txError === 'object' && Array.isArray(txError.InstructionError)) {
+    const [index, inner] = txError.InstructionError;
+    decoded.instructionIndex = index;
+    Object.assign(decoded, nameInstructionError(inner, isOreAt(index)));
+  } else if (typeof txError === 'string') {
+    decoded.name = txError;
+  } else if (txError) {
+    decoded.name = JSON.stringify(txError);
+  } else if (preflight) {
+    decoded.instructionIndex = preflight.index;
+    decoded.code = preflight.code;
+    decoded.name = preflight.code !== null
+      ? nameInstructionError({ Custom: preflight.code }, isOreAt(preflight.index)).name
+      : preflight.name;
+  }
+
+  // 3. Describe it
+  decoded.instruction = nameInstruction(instructions, decoded.instructionIndex);
+  const oreMessage = decoded.code !== null && isOreAt(decoded.instructionIndex)
+    ? ORE_CUSTOM_ERRORS[decoded.code]?.message
+    : null;
+  const hint = decoded.instruction ? INSTRUCTION_HINTS[`${decoded.instruction}:${decoded.name}`] : null;
+
+  let detail = hint || oreMessage || ERROR_MESSAGES[decoded.name] || null;
+  if (!detail && decoded.code !== null) detail = `custom program error ${decoded.code}`;
+
+  let prefix = decoded.name;
+  if (decoded.instructionIndex !== null) {
+    prefix += ` in instruction ${decoded.instructionIndex}${decoded.instruction ? ` (${decoded.instruction})` : ''}`;
+  }
+
+  let message = detail ? `${prefix}: ${detail}` : prefix;
+  if (decoded.name === TX_ERRORS.UNKNOWN && decoded.instructionIndex === null) {
+    message = rawMessage.split('\n')[0].trim() || 'unknown error';
+  }
+  decoded.message = message;
+
+  return decoded;
+}
@@ -5,7 +5,8 @@
  * @description Core mathematical models for calculating Expected Value (EV).
  * Implements the `computeEVStarForBlock` function, which is the heart
  * of the bot's decision-making. It also includes functions for
- * calculating the total ORE value and checking for large pool deltas.
+ * calculating the total ORE value, settling simulated deploys against a
+ * finished round, and checking for large pool deltas.
  * @project lodestar-cli
  * @license MIT
  */
@@ -81,6 +82,42 @@ export function getOreValueInSOL(roundData) {
   return priceOreSol * REF_MULT * (1 + expectedMotherlodeOREThisRound);
 }
 
+/**
+ * Computes what a set of deployments would have returned in a finished round.
+ * Used to settle simulated (speculation / backtest) deploys against the real outcome.
+ * The hypothetical deployments are added on top of the final on-chain pools:
+ * if the winning square was targeted, the stake comes back plus a proportional
+ * share of the losing pools (after the protocol cut) and of the ORE reward.
+ * @param {object} roundData - The final parsed round data.
+ * @param {Array<{id: number, amount: number}>} deployments - Square ids (1-25) and SOL amounts.
+ * @param {number} winningSquare - The winning square id (1-25).
+ * @returns {object} { deployed, fees, returned, net, hit } in SOL.
+ */
+export function computeSimulatedPayout(roundData, deployments, winningSquare) {
+  // 1. Totals including the hypothetical deployments
+  const deployed = deployments.reduce((sum, d) => sum + d.amount, 0);
+  const fees = ADMIN_COST_FACTOR * deployed;
+  const T = Number(roundData.total_deployed.toString()) * SOL_PER_LAMPORT + deployed;
+
+  // 2. Stake on the winning square
+  const stake = deployments
+    .filter(d => d.id === winningSquare)
+    .reduce((sum, d) => sum + d.amount, 0);
+
+  if (stake <= 0) {
+    return { deployed, fees, returned: 0, net: -(deployed + fees), hit: false };
+  }
+
+  // 3. Proportional share of the winnings
+  const O = Number(roundData.deployed[winningSquare - 1].toString()) * SOL_PER_LAMPORT + stake;
+  const f = stake / O;
+  const returned = stake
+    + (1 - PROTOCOL_CUT) * (T - O) * f
+    + getOreValueInSOL(roundData) * f;
+
+  return { deployed, fees, returned, net: returned - deployed - fees, hit: true };
+}
+
 /**
  * Checks for a significant delta between the max and min pools and plays a sound if found.
  * @param {object} roundData - The parsed round data.
@@ -0,0 +1,144 @@
+/**
+ * @file fees.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Priority fee estimation for deploy transactions.
+ * Periodically samples `getRecentPrioritizationFees` for the accounts a
+ * deploy writes to (board, round, miner), so the fee is ready before
+ * the last seconds of a round. The compute unit price is a configurable
+ * percentile of the sample, capped so that the whole priority fee never
+ * exceeds a hard lamport limit. Falls back to the fixed price when the
+ * sample is missing or stale, or when dynamic fees are turned off.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { getState } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { getBoardPda, getRoundPda, getMinerPda } from './solana.mjs';
+
+// --- Constants ---
+const MICRO_LAMPORTS_PER_LAMPORT = 1_000_000;
+const LAMPORTS_PER_SIGNATURE = 5_000;
+const STALE_AFTER_REFRESHES = 3; // A sample older than 3 refresh intervals is not used
+
+// --- Module-level Variables ---
+let feeSample = null; // { fees: number[] (sorted), fetchedAt }
+
+// --- Private Helper Functions ---
+
+/**
+ * Picks a percentile from sorted values (nearest rank).
+ * @param {Array<number>} sorted - The values, in ascending order.
+ * @param {number} percentile - The percentile, 0-100.
+ * @returns {number} The value.
+ */
+function pickPercentile(sorted, percentile) {
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Checks whether the fee sample is recent enough to use.
+ * @returns {boolean} True if it can be used.
+ */
+function isSampleFresh() {
+  const { priorityFeeRefreshMs } = getConfig().fees;
+  return !!feeSample
+    && feeSample.fees.length > 0
+    && Date.now() - feeSample.fetchedAt <= priorityFeeRefreshMs * STALE_AFTER_REFRESHES;
+}
+
+// --- Public Functions ---
+
+/**
+ * Fetches the recent prioritization fees paid to write the deploy accounts.
+ * Errors are logged and keep the previous sample.
+ * @param {Connection} connection - The Solana connection object.
+ * @param {Keypair} signer - The user's keypair (for the miner account).
+ */
+export async function refreshPriorityFees(connection, signer) {
+  try {
+    // 1. The accounts every deploy locks for writing
+    const { currentRoundId } = getState();
+    const accounts = [getBoardPda()];
+    if (!currentRoundId.isNeg()) accounts.push(getRoundPda(currentRoundId));
+    if (signer) accounts.push(getMinerPda(signer.publicKey));
+
+    // 2. Fetch and sort the per-slot fees
+    const recent = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+    feeSample = {
+      fees: recent.map(f => f.prioritizationFee).sort((a, b) => a - b),
+      fetchedAt: Date.now(),
+    };
+  } catch (e) {
+    log(`error fetching priority fees: ${e.message}`);
+  }
+}
+
+/**
+ * Starts sampling the priority fees in the background (dynamic fees only).
+ * @param {Connection} connection - The Solana connection object.
+ * @param {Keypair} signer - The user's keypair.
+ */
+export function startPriorityFeeSampler(connection, signer) {
+  const { priorityFeeMode, priorityFeeRefreshMs } = getConfig().fees;
+  if (priorityFeeMode !== 'dynamic') return;
+
+  refreshPriorityFees(connection, signer);
+  setInterval(() => refreshPriorityFees(connection, signer), priorityFeeRefreshMs);
+}
+
+/**
+ * Returns the priority fee to pay on a transaction.
+ * @param {number} computeUnitLimit - The transaction's compute unit limit.
+ * @returns {{ microLamports: number, lamports: number, source: string }} The compute unit
+ * price, the resulting priority fee in lamports, and where the price came from
+ * (e.g. "p75", "p75 capped", "fixed", "fixed fallback").
+ */
+export function getPriorityFee(computeUnitLimit) {
+  const {
+    priorityFeeMode,
+    priorityFeePercentile,
+    computeUnitPriceMicroLamports,
+    maxPriorityFeeLamports,
+  } = getConfig().fees;
+
+  // 1. Pick the price: percentile of the sample, or the fixed price
+  let microLamports = computeUnitPriceMicroLamports;
+  let source = 'fixed';
+
+  if (priorityFeeMode === 'dynamic') {
+    if (isSampleFresh()) {
+      microLamports = pickPercentile(feeSample.fees, priorityFeePercentile);
+      source = `p${priorityFeePercentile}`;
+    } else {
+      source = 'fixed fallback';
+    }
+  }
+
+  // 2. Apply the hard cap on the whole priority fee
+  const capMicroLamports = Math.floor((maxPriorityFeeLamports * MICRO_LAMPORTS_PER_LAMPORT) / computeUnitLimit);
+  if (microLamports > capMicroLamports) {
+    microLamports = capMicroLamports;
+    source += ' capped';
+  }
+
+  return {
+    microLamports,
+    lamports: Math.ceil((microLamports * computeUnitLimit) / MICRO_LAMPORTS_PER_LAMPORT),
+    source,
+  };
+}
+
+/**
+ * Formats the fee of a single-signature transaction for the logs.
+ * @param {object} priorityFee - The result of `getPriorityFee`.
+ * @returns {string} e.g. "fee 14259 lamports (priority 12345 µlamports/CU, p75)".
+ */
+export function formatTransactionFee(priorityFee) {
+  const total = LAMPORTS_PER_SIGNATURE + priorityFee.lamports;
+  return `fee ${total} lamports (priority ${priorityFee.microLamports} µlamports/CU, ${priorityFee.source})`;
+}
@@ -13,7 +13,7 @@
 
 // --- Imports ---
 import BN from 'bn.js';
-import { SOL_PER_LAMPORT, MS_PER_SLOT } from './constants.mjs';
+import { SOL_PER_LAMPORT, APP_MODES } from './constants.mjs';
 import { getState, setAppState } from './state.mjs';
 import { log, formatSol, playNotificationSound } from './utils.mjs';
 import {
@@ -28,43 +28,29 @@ import {
 import { computeEVStarForBlock, getOreValueInSOL } from './ev.mjs';
 import { runAutomationCheck, resetRoundFlags } from './automation.mjs';
 import { colors } from './theme.mjs';
+import { settlePaperTrade, formatPaperStats } from './paperTrading.mjs';
+import { archiveRound, recordRoundSnapshot } from './history.mjs';
+import { prewarmDeployComputeUnits } from './transactions.mjs';
+import { initSlotClock, getOrEstimateSlot, getMsPerSlot, getSlotClockStatus } from './clock.mjs';
+import { getConfig } from './config.mjs';
+import { resubscribeAll } from './rpcPool.mjs';
+import { updatePriceDisplay } from './pricing.mjs';
+import { recordFinishedRound } from './guardrails.mjs';
+
+// --- Constants ---
+const WATCHDOG_INTERVAL_MS = 2000;
 
 // --- Module-level Variables ---
 let tui;
 let conn;
 let walletSigner;
 
-// --- SLOT CLOCK ---
-let lastSyncedSlot = 0;
-let lastSyncedTime = 0;
-const SLOT_RESYNC_INTERVAL = 60000; // Re-fetch slot from RPC every 60s
-
-/**
- * Estimates the current slot based on local time
- * @returns {Promise<number>} The estimated current slot.
- */
-async function getOrEstimateSlot() {
-  const now = Date.now();
-
-  // If we have never synced, or it's been a minute, fetch real slot
-  if (lastSyncedSlot === 0 || (now - lastSyncedTime > SLOT_RESYNC_INTERVAL)) {
-    try {
-      lastSyncedSlot = await conn.getSlot();
-      lastSyncedTime = now;
-      return lastSyncedSlot;
-    } catch (e) {
-      // If RPC fails, fallback to estimation based on last known data
-      if (lastSyncedSlot === 0) return 0; // Startup fail
-    }
-  }
-
-  // Calculate slots passed since last sync
-  // Solana slots are ~400ms target
-  const timeDiff = now - lastSyncedTime;
-  const slotsPassed = Math.floor(timeDiff / MS_PER_SLOT);
-  
-  return lastSyncedSlot + slotsPassed;
-}
+// --- WEBSOCKET WATCHDOG ---
+let lastWebsocketUpdateAt = 0;
+let lastDataRefreshAt = 0; // Last websocket notification or successful poll
+let lastResubscribeAt = 0;
+let watchdogPolling = false;
+let websocketSilent = false;
 
 // --- Local Utility ---
 /**
@@ -184,7 +170,7 @@ function updateTUI(roundData) {
  * @param {string} roundIdStr - The round ID as a string.
  */
 function displayWinner(roundData, roundIdStr) {
-  const { lastWinnerDisplay, countdownTimer, screen } = tui;
+  const { lastWinnerDisplay, countdownTimer, paperPnlDisplay, screen } = tui;
   const { winnerAnnounced } = getState();
 
   // 1. Check if winner is already announced
@@ -206,10 +192,119 @@ function displayWinner(roundData, roundIdStr) {
 
     // 5. Log and """play sound"""
     playNotificationSound(`winner for round ${roundIdStr} is #${winnerStr}`);
+
+    // 6. Settle any speculative deploy made this round
+    if (settlePaperTrade(roundIdStr, roundData, winner)) {
+      paperPnlDisplay.setContent(formatPaperStats());
+    }
     screen.render();
   }
 }
 
+/**
+ * Shows the slot clock source, measured slot time and skew in the stats window.
+ */
+function updateSlotClockDisplay() {
+  const { live, msPerSlot, skewSlots } = getSlotClockStatus();
+  const source = live
+    ? `{${colors.GREEN}-fg}live{/${colors.GREEN}-fg}`
+    : `{${colors.YELLOW}-fg}estimated{/${colors.YELLOW}-fg}`;
+  const skew = `${skewSlots >= 0 ? '+' : ''}${skewSlots.toFixed(1)}`;
+  tui.slotClockDisplay.setContent(`   slot clock: ${source} ${Math.round(msPerSlot)}ms, skew ${skew}`);
+}
+
+/**
+ * Flags stale data in the board window header (red border and label).
+ * @param {boolean} stale - Whether the data is stale.
+ */
+function showDataStale(stale) {
+  const { boardWindow, screen } = tui;
+  boardWindow.setLabel(stale ? ' STALE DATA - websocket silent, polls failing ' : '');
+  boardWindow.style.border.fg = stale ? colors.RED : colors.BLACK;
+  screen.render();
+}
+
+/**
+ * Records fresh Board and Round data (a websocket notification or a
+ * successful poll) and clears the stale flag.
+ */
+function noteDataRefresh() {
+  lastDataRefreshAt = Date.now();
+  if (getState().dataStale) {
+    setAppState({ dataStale: false });
+    log('board data is fresh again');
+    showDataStale(false);
+  }
+}
+
+/**
+ * Records a Board or Round websocket notification.
+ */
+function noteWebsocketUpdate() {
+  lastWebsocketUpdateAt = Date.now();
+  if (websocketSilent) {
+    websocketSilent = false;
+    log('websocket updates resumed, polling stopped');
+  }
+  noteDataRefresh();
+}
+
+/**
+ * Watchdog tick: when no Board or Round notification arrived within
+ * `rpc.staleAfterMs`, polls both accounts instead and re-creates the
+ * subscriptions (at most once per stale window). The data is only flagged
+ * as stale when neither the websocket nor a poll refreshed it in that time,
+ * so a quiet round without deploys keeps running on polled data.
+ */
+async function runWatchdog() {
+  const { staleAfterMs } = getConfig().rpc;
+  const now = Date.now();
+
+  // 1. Flag the data as stale (automation refuses to deploy on it)
+  const staleMs = now - lastDataRefreshAt;
+  if (staleMs > staleAfterMs && !getState().dataStale) {
+    setAppState({ dataStale: true });
+    log(`no fresh board data for ${Math.round(staleMs / 1000)}s (websocket silent, polls failing): data is stale`);
+    showDataStale(true);
+  }
+
+  const silentMs = now - lastWebsocketUpdateAt;
+  if (silentMs <= staleAfterMs || watchdogPolling) return;
+
+  if (!websocketSilent) {
+    websocketSilent = true;
+    log(`no websocket update for ${Math.round(silentMs / 1000)}s: polling and resubscribing`);
+  }
+
+  watchdogPolling = true;
+  try {
+    // 2. Poll the Board (which drives round transitions) and the current Round
+    const boardInfo = await conn.getAccountInfo(getBoardPda());
+    if (boardInfo) await processBoardUpdate(boardInfo);
+
+    const { currentRoundId } = getState();
+    let roundInfo = null;
+    if (currentRoundId.gtn(-1)) {
+      roundInfo = await conn.getAccountInfo(getRoundPda(currentRoundId));
+      if (roundInfo) processRoundUpdate(roundInfo);
+    }
+    if (boardInfo && roundInfo) {
+      noteDataRefresh();
+    }
+
+    // 3. Re-create the subscriptions on the current endpoint
+    if (now - lastResubscribeAt > staleAfterMs) {
+      lastResubscribeAt = now;
+      const count = await resubscribeAll();
+      log(`websocket watchdog: re-created ${count} subscription(s)`);
+    }
+  } catch (e) {
+    log(`websocket watchdog poll failed: ${e.message}`);
+  } finally {
+    watchdogPolling = false;
+  }
+}
+
 // --- Main Game Loop & Event Handlers ---
 
 // Timer to throttle the "Winner Check" polling so it doesn't run every second
@@ -241,10 +336,11 @@ export async function updateCountdown() {
     const currentSlot = await getOrEstimateSlot();
     const endSlot = Number(currentBoardData.end_slot.toString());
     const slotsRemaining = endSlot - currentSlot;
+    const msPerSlot = getMsPerSlot();
 
     // 3. Handle Active Round
     if (slotsRemaining > 0) {
-      const secondsRemaining = Math.floor(slotsRemaining * (MS_PER_SLOT / 1000));
+      const secondsRemaining = Math.floor(slotsRemaining * (msPerSlot / 1000));
       let mm = String(Math.floor(secondsRemaining / 60)).padStart(2, '0');
       if (mm > 1) mm = 1;
       const ss = String(secondsRemaining % 60).padStart(2, '0');
@@ -254,7 +350,8 @@ export async function updateCountdown() {
 
       // Trigger automation check if conditions are met
       if (currentRoundData && !isTransitioningRound) {
-        runAutomationCheck(currentRoundData, secondsRemaining, conn, walletSigner);
+        runAutomationCheck(currentRoundData, (slotsRemaining * msPerSlot) / 1000, conn, walletSigner)
+          .catch(e => log(`automation check failed: ${e.message}`));
       }
     }
     // 4. Handle Ended Round
@@ -297,19 +394,27 @@ export async function updateCountdown() {
 
   // 6. Update TUI
   countdownTimer.setContent(countdownString);
+  updateSlotClockDisplay();
+  updatePriceDisplay(tui);
   screen.render();
 }
 
 /**
  * Callback for processing Round account updates from the websocket.
  * @param {object} accountInfo - The raw account info from Solana.
+ * @param {object} [context] - The websocket notification context ({ slot }), if any.
  */
-function processRoundUpdate(accountInfo) {
+function processRoundUpdate(accountInfo, context) {
   try {
     const roundData = parseRound(accountInfo.data);
     setAppState({ currentRoundData: roundData });
     updateTUI(roundData);
 
+    // Archive an intra-round snapshot for live (websocket) updates
+    if (context?.slot) {
+      recordRoundSnapshot(getState().currentRoundId, roundData, context.slot);
+    }
+
     // If the hash just populated, display winner immediately
     if (isSlotHashPopulated(roundData.slot_hash)) {
        displayWinner(roundData, getState().currentRoundId.toString());
@@ -320,11 +425,12 @@ function processRoundUpdate(accountInfo) {
 }
 
 /**
- * Fetches the final state of a round and displays the winner.
+ * Fetches the final state of a round, archives it and displays the winner.
  * Called during the round transition.
  * @param {BN} roundId - The ID of the round to finalize.
+ * @param {object|null} boardData - The Board data as it was during that round.
  */
-async function finalizeOldRound(roundId) {
+async function finalizeOldRound(roundId, boardData) {
   log(`fetching final data for old round ${roundId.toString()}...`);
   try {
     const oldRoundPda = getRoundPda(roundId);
@@ -333,6 +439,8 @@ async function finalizeOldRound(roundId) {
       const oldRoundData = parseRound(oldRoundAccountInfo.data);
       setAppState({ currentRoundData: oldRoundData });
       updateTUI(oldRoundData);
+      archiveRound(roundId, oldRoundData, boardData);
+      recordFinishedRound(roundId.toString(), oldRoundData);
 
       if (isSlotHashPopulated(oldRoundData.slot_hash)) {
         displayWinner(oldRoundData, roundId.toString());
@@ -354,6 +462,7 @@ async function processBoardUpdate(accountInfo) {
   try {
     // 1. Parse board data
     const boardData = parseBoard(accountInfo.data);
+    const previousBoardData = getState().currentBoardData;
     setAppState({ currentBoardData: boardData });
 
     // 2. Check if a new round has started
@@ -365,7 +474,7 @@ async function processBoardUpdate(accountInfo) {
       setAppState({ isTransitioningRound: true });
 
       // 3a. Finalize and display winner for the round that just ended
-      await finalizeOldRound(currentRoundId);
+      await finalizeOldRound(currentRoundId, previousBoardData);
 
       setAppState({ isTransitioningRound: false });
     }
@@ -402,7 +511,10 @@ async function processBoardUpdate(accountInfo) {
 
     const newSubscriptionId = conn.onAccountChange(
       roundPda,
-      processRoundUpdate,
+      (accountInfo, context) => {
+        noteWebsocketUpdate();
+        processRoundUpdate(accountInfo, context);
+      },
       'confirmed'
     );
 
@@ -412,6 +524,11 @@ async function processBoardUpdate(accountInfo) {
     const roundAccountInfo = await conn.getAccountInfo(roundPda);
     if (roundAccountInfo) {
       processRoundUpdate(roundAccountInfo);
+
+      // 5d. Measure the deploy's compute units ahead of the automation trigger
+      if (getState().appMode !== APP_MODES.IDLE) {
+        prewarmDeployComputeUnits(conn, walletSigner);
+      }
     }
   } catch (e) {
     log(`error in processing board update: ${e.message}`);
@@ -429,6 +546,7 @@ export async function startGameLoop(connection, signer, tuiWidgets) {
   tui = tuiWidgets;
   conn = connection;
   walletSigner = signer;
+  initSlotClock(connection);
 
   // 2. Subscribe to Board account
   const boardPda = getBoardPda();
@@ -436,7 +554,10 @@ export async function startGameLoop(connection, signer, tuiWidgets) {
 
   conn.onAccountChange(
     boardPda,
-    (accountInfo) => processBoardUpdate(accountInfo),
+    (accountInfo) => {
+      noteWebsocketUpdate();
+      processBoardUpdate(accountInfo);
+    },
     'confirmed'
   );
 
@@ -446,4 +567,9 @@ export async function startGameLoop(connection, signer, tuiWidgets) {
     throw new Error("failed to fetch initial Board account.");
   }
   await processBoardUpdate(initialBoardInfo);
+
+  // 4. Watch that websocket updates keep arriving
+  lastWebsocketUpdateAt = Date.now();
+  lastDataRefreshAt = lastWebsocketUpdateAt;
+  setInterval(runWatchdog, WATCHDOG_INTERVAL_MS);
 }
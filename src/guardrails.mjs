@@ -0,0 +1,270 @@
+/**
+ * @file guardrails.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Risk guardrails for the automation.
+ * Checked before every deploy: a maximum SOL deployed per round, per
+ * rolling hour and per rolling day (across the main and swarm wallets),
+ * a stop-loss and a take-profit measured against the equity at session
+ * start (wallet balances, claimable SOL, and the value of each miner's
+ * last round until a Checkpoint credits it), and a balance reserve that
+ * is never deployed. A tripped guardrail sets the mode to IDLE and
+ * records the reason for the TUI. The hour and day windows are seeded
+ * from the ledger, so they survive restarts.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import BN from 'bn.js';
+import { APP_MODES, SOL_PER_LAMPORT } from './constants.mjs';
+import { getState, setAppState, setAppMode } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { getBankroll } from './sizing.mjs';
+import { getSigner } from './wallet.mjs';
+import { getSwarmWallets } from './swarm.mjs';
+import { readLedger } from './ledger.mjs';
+import { getRoundPda, parseRound, isSlotHashPopulated, calculateRng, getWinningSquare } from './solana.mjs';
+
+// --- Constants ---
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FINISHED_ROUNDS_KEPT = 16; // Final Round data kept to value unsettled rounds
+
+// --- Module-level Variables ---
+let sessionStartEquity = null;
+const deployHistory = []; // { at, roundId, amount }, oldest first
+const finishedRounds = new Map(); // roundId -> final parsed Round data, oldest first
+
+// --- Private Helper Functions ---
+
+/**
+ * Values the last round a miner played until a Checkpoint credits it to
+ * `rewards_sol`: its payout once the round's final data is known, or the
+ * stake at cost while the round runs (or its data is unavailable).
+ * @param {object|null} miner - The parsed Miner account.
+ * @returns {number} The unsettled value, in SOL.
+ */
+function getUnsettledValue(miner) {
+  if (!miner || miner.round_id === miner.checkpoint_id) return 0;
+
+  // 1. Stake at cost until the winner is known
+  const round = finishedRounds.get(miner.round_id.toString());
+  if (!round) {
+    const stake = miner.deployed.reduce((sum, lamports) => sum + lamports, 0n);
+    return Number(stake) * SOL_PER_LAMPORT;
+  }
+
+  // 2. Stake on the winning square back, plus its share of the winnings
+  const winner = getWinningSquare(calculateRng(round.slot_hash));
+  const mine = miner.deployed[winner];
+  if (mine === 0n || round.deployed[winner] === 0n) return 0;
+  const payout = mine + (round.total_winnings * mine) / round.deployed[winner];
+  return Number(payout) * SOL_PER_LAMPORT;
+}
+
+/**
+ * Returns the current equity of every wallet: balance, claimable SOL, and
+ * the value of the last round played that is not checkpointed yet.
+ * @returns {number} The equity, in SOL.
+ */
+function getEquity() {
+  return getSwarmWallets().reduce(
+    (sum, wallet) => sum + wallet.balance + wallet.rewardsSol + getUnsettledValue(wallet.minerAccount),
+    getBankroll() + getUnsettledValue(getState().minerAccount)
+  );
+}
+
+/**
+ * Fetches the final data of the unsettled rounds the miners played before
+ * this session, so they are valued at their payout rather than at cost.
+ * @param {Connection} connection - The Solana connection object.
+ */
+async function loadUnsettledRounds(connection) {
+  const { minerAccount, currentRoundId } = getState();
+  const miners = [minerAccount, ...getSwarmWallets().map(w => w.minerAccount)];
+  const roundIds = new Set(miners
+    .filter(m => m && m.round_id !== m.checkpoint_id)
+    .map(m => m.round_id.toString())
+    .filter(id => id !== currentRoundId.toString() && !finishedRounds.has(id)));
+
+  for (const roundId of roundIds) {
+    try {
+      const accountInfo = await connection.getAccountInfo(getRoundPda(new BN(roundId)));
+      if (accountInfo) {
+        recordFinishedRound(roundId, parseRound(accountInfo.data));
+      }
+    } catch (e) {
+      log(`guardrails: could not fetch round ${roundId}, its stake counts at cost: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Sums the SOL deployed since a point in time.
+ * @param {number} since - Epoch milliseconds.
+ * @returns {number} The total, in SOL.
+ */
+function sumDeployedSince(since) {
+  return deployHistory
+    .filter(d => d.at >= since)
+    .reduce((sum, d) => sum + d.amount, 0);
+}
+
+/**
+ * Sums the SOL deployed in a round.
+ * @param {string} roundId - The round id.
+ * @returns {number} The total, in SOL.
+ */
+function sumDeployedInRound(roundId) {
+  return deployHistory
+    .filter(d => d.roundId === roundId)
+    .reduce((sum, d) => sum + d.amount, 0);
+}
+
+/**
+ * Loads the confirmed deploys of the last day from the wallets' ledgers.
+ */
+function seedFromLedger() {
+  const signer = getSigner();
+  const wallets = [signer?.publicKey.toBase58(), ...getSwarmWallets().map(w => w.publicKey)].filter(Boolean);
+  const since = Date.now() - DAY_MS;
+
+  for (const wallet of wallets) {
+    for (const entry of readLedger(wallet)) {
+      const at = Date.parse(entry.timestamp);
+      if (entry.type !== 'deploy' || entry.outcome !== 'confirmed' || !(at >= since)) continue;
+      deployHistory.push({
+        at,
+        roundId: entry.roundId,
+        amount: Number(entry.totalLamports) * SOL_PER_LAMPORT,
+      });
+    }
+  }
+  deployHistory.sort((a, b) => a.at - b.at);
+}
+
+// --- Public Functions ---
+
+/**
+ * Starts the guardrail session: records the starting equity and loads the
+ * deploys of the last day from the ledger. Call once the wallet balances
+ * and miner stats have been fetched.
+ * @param {Connection} connection - The Solana connection object.
+ */
+export async function startGuardrailSession(connection) {
+  await loadUnsettledRounds(connection);
+  sessionStartEquity = getEquity();
+  if (getConfig().ledger.enabled) {
+    seedFromLedger();
+  }
+  log(`guardrails: session equity ${sessionStartEquity.toFixed(4)} sol, ${sumDeployedSince(Date.now() - DAY_MS).toFixed(4)} sol deployed in the last 24h`);
+}
+
+/**
+ * Keeps the final data of a finished round, to value the miners' stake in
+ * it until a Checkpoint credits their rewards.
+ * @param {string} roundId - The round id.
+ * @param {object} roundData - The final parsed Round data.
+ */
+export function recordFinishedRound(roundId, roundData) {
+  if (!isSlotHashPopulated(roundData.slot_hash)) return;
+
+  finishedRounds.set(roundId, roundData);
+  while (finishedRounds.size > FINISHED_ROUNDS_KEPT) {
+    finishedRounds.delete(finishedRounds.keys().next().value);
+  }
+}
+
+/**
+ * Checks a deploy against the session and spending guardrails, which cover
+ * every wallet of the process together.
+ * @param {number} amount - The total SOL the deploy would spend.
+ * @returns {string|null} The reason the deploy is refused, or null if it may go ahead.
+ */
+export function checkGuardrails(amount) {
+  const { maxPerRound, maxPerHour, maxPerDay, stopLoss, takeProfit } = getConfig().guardrails;
+  const now = Date.now();
+
+  // 1. Session P&L
+  if (sessionStartEquity !== null) {
+    const pnl = getEquity() - sessionStartEquity;
+    if (stopLoss !== null && pnl <= -stopLoss) {
+      return `stop-loss: session p&l ${pnl.toFixed(4)} sol (limit -${stopLoss})`;
+    }
+    if (takeProfit !== null && pnl >= takeProfit) {
+      return `take-profit: session p&l +${pnl.toFixed(4)} sol (target ${takeProfit})`;
+    }
+  }
+
+  // 2. Spending limits
+  const roundTotal = sumDeployedInRound(getState().currentRoundId.toString()) + amount;
+  if (maxPerRound !== null && roundTotal > maxPerRound) {
+    return `round limit: ${roundTotal.toFixed(4)} sol > ${maxPerRound}`;
+  }
+  const hourTotal = sumDeployedSince(now - HOUR_MS) + amount;
+  if (maxPerHour !== null && hourTotal > maxPerHour) {
+    return `hourly limit: ${hourTotal.toFixed(4)} sol > ${maxPerHour}`;
+  }
+  const dayTotal = sumDeployedSince(now - DAY_MS) + amount;
+  if (maxPerDay !== null && dayTotal > maxPerDay) {
+    return `daily limit: ${dayTotal.toFixed(4)} sol > ${maxPerDay}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a deploy leaves the balance reserve in the deploying wallet.
+ * @param {number} amount - The total SOL the deploy would spend.
+ * @param {number} balance - The wallet balance, in SOL.
+ * @returns {string|null} The reason the deploy is refused, or null if it may go ahead.
+ */
+export function checkReserve(amount, balance) {
+  const { reserve } = getConfig().guardrails;
+  if (balance - amount < reserve) {
+    return `reserve: deploying ${amount.toFixed(4)} of ${balance.toFixed(4)} sol would leave less than ${reserve} sol`;
+  }
+  return null;
+}
+
+/**
+ * Reserves a deploy that is about to be sent against the spending limits,
+ * so deploys sent meanwhile see it. Release it if the deploy does not land.
+ * @param {number} amount - The total SOL deployed.
+ * @returns {object} The reservation, for `releaseDeploy`.
+ */
+export function recordDeploy(amount) {
+  const now = Date.now();
+  const entry = { at: now, roundId: getState().currentRoundId.toString(), amount };
+  deployHistory.push(entry);
+
+  // Older deploys no longer count towards any limit
+  while (deployHistory.length > 0 && deployHistory[0].at < now - DAY_MS) {
+    deployHistory.shift();
+  }
+  return entry;
+}
+
+/**
+ * Releases the reservation of a deploy that did not land, so only confirmed
+ * deploys count, as they do when the history is seeded from the ledger.
+ * @param {object} entry - The result of `recordDeploy`.
+ */
+export function releaseDeploy(entry) {
+  const index = deployHistory.indexOf(entry);
+  if (index !== -1) {
+    deployHistory.splice(index, 1);
+  }
+}
+
+/**
+ * Trips a guardrail: stops the automation and records why.
+ * @param {string} reason - The reason, shown in the controls window.
+ */
+export function tripGuardrail(reason) {
+  setAppMode(APP_MODES.IDLE);
+  setAppState({ guardrailTrip: reason });
+  log(`GUARDRAIL TRIPPED: ${reason}. automation set to idle.`);
+}
@@ -0,0 +1,105 @@
+/**
+ * @file headless.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Headless replacement for the blessed TUI.
+ * Provides the same widget object as `initTUI()`, built from no-op
+ * stand-ins, so the game loop, pricing and automation modules run
+ * unchanged without a terminal. Log lines are stripped of blessed
+ * tags and written to stdout or to an append-only log file.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import fs from 'fs';
+
+// --- Private Helper Functions ---
+
+/**
+ * Removes blessed markup tags (e.g. `{#2CBE93-fg}`, `{/}`) from a string.
+ * @param {string} text - The tagged text.
+ * @returns {string} The plain text.
+ */
+function stripTags(text) {
+  return String(text).replace(/\{\/?(?:#[0-9a-fA-F]{6}-[fb]g|[a-z]+(?:-[fb]g)?)?\}/g, '');
+}
+
+/**
+ * Creates a widget stand-in exposing the subset of the blessed API used by the app.
+ * `setContent` keeps the content so code that reads it back still works.
+ * @returns {object} A no-op widget.
+ */
+function createWidgetStub() {
+  return {
+    content: '',
+    style: { border: {} },
+    setContent(content) { this.content = content; },
+    setLabel() {},
+    log() {},
+  };
+}
+
+// --- Main Headless Initializer ---
+
+/**
+ * Initializes the headless widgets and log output.
+ * @param {object} options - The parsed CLI options.
+ * @param {string|null} options.logFile - Optional path of a log file to append to.
+ * @returns {object} An object with the same shape as the one returned by `initTUI()`.
+ */
+export function initHeadless({ logFile }) {
+  // 1. Pick the log destination
+  const output = logFile
+    ? fs.createWriteStream(logFile, { flags: 'a' })
+    : process.stdout;
+
+  // 2. Create the log "window" and "screen"
+  const logWindow = {
+    log(line) {
+      output.write(`${stripTags(line)}\n`);
+    },
+  };
+
+  const screen = {
+    render() {},
+    destroy() {},
+  };
+
+  // 3. Create the grid stand-ins
+  const gridWidgets = [];
+  for (let i = 0; i < 25; i++) {
+    gridWidgets.push({
+      box: createWidgetStub(),
+      number: createWidgetStub(),
+      count: createWidgetStub(),
+      sol: createWidgetStub(),
+      ev: createWidgetStub(),
+    });
+  }
+
+  // 4. Return the same shape as initTUI()
+  return {
+    screen,
+    boardWindow: createWidgetStub(),
+    statsWindow: createWidgetStub(),
+    logWindow,
+    controlsWindow: createWidgetStub(),
+    countdownTimer: createWidgetStub(),
+    lastWinnerDisplay: createWidgetStub(),
+    botBalanceDisplay: createWidgetStub(),
+    claimableSolDisplay: createWidgetStub(),
+    claimableOreDisplay: createWidgetStub(),
+    refinedOreDisplay: createWidgetStub(),
+    orePriceDisplay: createWidgetStub(),
+    solPriceDisplay: createWidgetStub(),
+    oreSolRatioDisplay: createWidgetStub(),
+    bestEVDisplay: createWidgetStub(),
+    paperPnlDisplay: createWidgetStub(),
+    slotClockDisplay: createWidgetStub(),
+    statsLog: createWidgetStub(),
+    swarmPanel: createWidgetStub(),
+    minerPanel: createWidgetStub(),
+    gridWidgets,
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * @file history.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Round history recorder.
+ * Archives the final state of every Round account (per-square deployed
+ * SOL and miner counts, totals, motherlode, top miner, slot hash and the
+ * derived winning square) to `rounds.jsonl`, and optionally records
+ * throttled intra-round snapshots with their slot and wall-clock time to
+ * `snapshots.jsonl`. This dataset feeds the backtester and strategy research.
+ * The most recent rounds are also kept in memory for the strategy context.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import path from 'path';
+import { getConfig } from './config.mjs';
+import { getState } from './state.mjs';
+import { log, appendJsonLine } from './utils.mjs';
+import { SOL_PER_LAMPORT } from './constants.mjs';
+import { isSlotHashPopulated, calculateRng, getWinningSquare } from './solana.mjs';
+
+// --- Constants ---
+export const ROUNDS_FILE = 'rounds.jsonl';
+export const SNAPSHOTS_FILE = 'snapshots.jsonl';
+export const RECENT_ROUNDS_LIMIT = 100;
+
+// --- Module-level Variables ---
+let lastArchivedRoundId = null;
+let lastSnapshotTime = 0;
+const recentRounds = []; // round summaries, oldest first
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns the path of a file in the history directory.
+ * @param {string} fileName - The file name.
+ * @returns {string} The absolute path.
+ */
+function getHistoryPath(fileName) {
+  return path.resolve(process.cwd(), getConfig().history.dir, fileName);
+}
+
+/**
+ * Converts parsed Round data into a plain JSON-safe object.
+ * u64 values are kept as strings to preserve precision.
+ * @param {object} roundData - The parsed round data.
+ * @returns {object} The serialized round.
+ */
+function serializeRound(roundData) {
+  return {
+    deployed: roundData.deployed.map(d => d.toString()),
+    count: roundData.count.map(c => c.toString()),
+    total_deployed: roundData.total_deployed.toString(),
+    total_vaulted: roundData.total_vaulted.toString(),
+    total_winnings: roundData.total_winnings.toString(),
+    motherlode: roundData.motherlode.toString(),
+    top_miner: roundData.top_miner.toBase58(),
+    top_miner_reward: roundData.top_miner_reward.toString(),
+    expires_at: roundData.expires_at.toString(),
+    slot_hash: Buffer.from(roundData.slot_hash).toString('hex'),
+  };
+}
+
+/**
+ * Returns the start/end slots of a Board, as numbers.
+ * @param {object|null} boardData - The parsed board data.
+ * @returns {{ startSlot: number|null, endSlot: number|null }}
+ */
+function getBoardSlots(boardData) {
+  return {
+    startSlot: boardData ? Number(boardData.start_slot.toString()) : null,
+    endSlot: boardData ? Number(boardData.end_slot.toString()) : null,
+  };
+}
+
+// --- Public Functions ---
+
+/**
+ * Builds the compact round summary handed to strategies as history.
+ * Accepts both parsed round data (BN values) and archived records (strings).
+ * @param {BN|string} roundId - The round id.
+ * @param {object} roundData - The round data.
+ * @param {number|null} winningSquare - The 1-based winning square, if known.
+ * @returns {object} { roundId, winningSquare, totalDeployed, deployed } (SOL amounts).
+ */
+export function summarizeRound(roundId, roundData, winningSquare) {
+  return {
+    roundId: roundId.toString(),
+    winningSquare,
+    totalDeployed: Number(roundData.total_deployed.toString()) * SOL_PER_LAMPORT,
+    deployed: roundData.deployed.map(d => Number(d.toString()) * SOL_PER_LAMPORT),
+  };
+}
+
+/**
+ * Returns the rounds finalized since startup (up to RECENT_ROUNDS_LIMIT), oldest first.
+ * @returns {Array<object>} The round summaries.
+ */
+export function getRecentRounds() {
+  return [...recentRounds];
+}
+
+/**
+ * Archives the final state of a round. Each round is archived at most once.
+ * @param {BN|string} roundId - The round id.
+ * @param {object} roundData - The final parsed round data.
+ * @param {object|null} boardData - The Board data of that round (for its start/end slots).
+ */
+export function archiveRound(roundId, roundData, boardData) {
+  const { enabled } = getConfig().history;
+  const id = roundId.toString();
+  if (id === lastArchivedRoundId) return;
+
+  const winningSquare = isSlotHashPopulated(roundData.slot_hash)
+    ? getWinningSquare(calculateRng(roundData.slot_hash)) + 1
+    : null;
+
+  // 1. Keep a summary in memory, even when the archive is disabled
+  recentRounds.push(summarizeRound(id, roundData, winningSquare));
+  if (recentRounds.length > RECENT_ROUNDS_LIMIT) recentRounds.shift();
+  lastArchivedRoundId = id;
+
+  if (!enabled) return;
+
+  // 2. Append the full round to the archive
+  try {
+    appendJsonLine(getHistoryPath(ROUNDS_FILE), {
+      roundId: id,
+      archivedAt: new Date().toISOString(),
+      ...getBoardSlots(boardData),
+      priceOreSol: getState().priceOreSol,
+      winningSquare,
+      ...serializeRound(roundData),
+    });
+  } catch (e) {
+    log(`error archiving round ${id}: ${e.message}`);
+  }
+}
+
+/**
+ * Records an intra-round snapshot, throttled by `history.snapshotIntervalMs`.
+ * @param {BN|string} roundId - The round id.
+ * @param {object} roundData - The parsed round data.
+ * @param {number} slot - The slot the update was observed at.
+ */
+export function recordRoundSnapshot(roundId, roundData, slot) {
+  const { enabled, snapshots, snapshotIntervalMs } = getConfig().history;
+  if (!enabled || !snapshots) return;
+
+  const now = Date.now();
+  if (now - lastSnapshotTime < snapshotIntervalMs) return;
+  lastSnapshotTime = now;
+
+  try {
+    appendJsonLine(getHistoryPath(SNAPSHOTS_FILE), {
+      roundId: roundId.toString(),
+      slot,
+      timestamp: new Date(now).toISOString(),
+      ...getBoardSlots(getState().currentBoardData),
+      priceOreSol: getState().priceOreSol,
+      ...serializeRound(roundData),
+    });
+  } catch (e) {
+    log(`error recording round snapshot: ${e.message}`);
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * @file keystore.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Passphrase-encrypted keystore for the bot wallet.
+ * Encrypts the secret key with AES-256-GCM under a key derived from a
+ * passphrase with scrypt, and stores it as a JSON object in `id.json`
+ * (plaintext wallets are a JSON array, so both formats can be told
+ * apart). Also resolves the passphrase: from `LODESTAR_PASSPHRASE`, a
+ * passphrase file, an inherited file descriptor, or a hidden prompt on
+ * the terminal.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+
+// --- Constants ---
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 }; // ~128 MB, well under a second
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+const MIN_PASSPHRASE_LENGTH = 8;
+const PASSPHRASE_ENV = 'LODESTAR_PASSPHRASE';
+const PASSPHRASE_FILE_ENV = 'LODESTAR_PASSPHRASE_FILE';
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- Private Helper Functions ---
+
+/**
+ * Derives the encryption key from a passphrase.
+ * @param {string} passphrase - The passphrase.
+ * @param {Buffer} salt - The random salt.
+ * @param {object} params - The scrypt cost parameters ({ N, r, p }).
+ * @returns {Promise<Buffer>} The 32-byte key.
+ */
+function deriveKey(passphrase, salt, params) {
+  return scrypt(passphrase.normalize('NFKC'), salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+}
+
+/**
+ * Reads a passphrase from a file or file descriptor, dropping the trailing newline.
+ * @param {string|number} source - A file path or an open file descriptor.
+ * @returns {string} The passphrase.
+ */
+function readPassphraseFrom(source) {
+  return fs.readFileSync(source, 'utf-8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Prompts for a passphrase on the terminal without echoing it.
+ * @param {string} question - The prompt text.
+ * @returns {Promise<string>} The typed passphrase.
+ */
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const { stdin, stdout } = process;
+    let input = '';
+
+    stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.setEncoding('utf-8');
+
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.removeListener('data', onData);
+          stdout.write('\n');
+          resolve(input);
+          return;
+        }
+        if (ch === '\u0003') { // Ctrl+C
+          stdin.setRawMode(false);
+          stdout.write('\n');
+          process.exit(130);
+        }
+        if (ch === '\u007f' || ch === '\b') {
+          input = input.slice(0, -1);
+        } else {
+          input += ch;
+        }
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+// --- Public Functions ---
+
+/**
+ * Checks whether parsed `id.json` contents are an encrypted keystore.
+ * @param {*} parsed - The parsed file contents.
+ * @returns {boolean} True for a keystore object, false for a plaintext key array.
+ */
+export function isEncryptedKeystore(parsed) {
+  return !!parsed && !Array.isArray(parsed) && typeof parsed === 'object' && parsed.cipher === CIPHER;
+}
+
+/**
+ * Encrypts a secret key with a passphrase.
+ * @param {Uint8Array} secretKey - The 64-byte Solana secret key.
+ * @param {string} passphrase - The passphrase.
+ * @param {string} publicKey - The base58 public key (stored in clear for identification).
+ * @returns {Promise<object>} The keystore object, ready to be written as JSON.
+ */
+export async function encryptSecretKey(secretKey, passphrase, publicKey) {
+  // 1. Derive a key from a fresh salt
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  // 2. Encrypt and authenticate
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    kdf: 'scrypt',
+    kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+    cipher: CIPHER,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+}
+
+/**
+ * Decrypts a keystore with a passphrase.
+ * @param {object} keystore - The keystore object.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<Uint8Array>} The secret key.
+ * @throws {Error} If the keystore is unsupported, or the passphrase is wrong.
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt') {
+    throw new Error(`unsupported keystore (version ${keystore.version}, kdf ${keystore.kdf})`);
+  }
+
+  const { N, r, p, salt } = keystore.kdfparams;
+  const key = await deriveKey(passphrase, Buffer.from(salt, 'hex'), { N, r, p });
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(keystore.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+    const secretKey = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final(),
+    ]);
+    return Uint8Array.from(secretKey);
+  } catch (e) {
+    throw new Error('wrong passphrase (or the keystore is corrupted)');
+  }
+}
+
+/**
+ * Resolves the wallet passphrase, in order: `--passphrase-fd`, `--passphrase-file`,
+ * `LODESTAR_PASSPHRASE`, `LODESTAR_PASSPHRASE_FILE`, then a hidden terminal prompt.
+ * @param {object} options
+ * @param {number|null} [options.passphraseFd] - An inherited file descriptor to read from.
+ * @param {string|null} [options.passphraseFile] - A file to read from.
+ * @param {boolean} [options.confirm] - Ask twice when prompting (for new passphrases).
+ * @returns {Promise<string>} The passphrase.
+ * @throws {Error} If no source is available, or the passphrase is unusable.
+ */
+export async function resolvePassphrase({ passphraseFd = null, passphraseFile = null, confirm = false } = {}) {
+  // 1. Non-interactive sources
+  let passphrase = null;
+  if (passphraseFd !== null) {
+    passphrase = readPassphraseFrom(passphraseFd);
+  } else if (passphraseFile) {
+    passphrase = readPassphraseFrom(passphraseFile);
+  } else if (process.env[PASSPHRASE_ENV] !== undefined) {
+    passphrase = process.env[PASSPHRASE_ENV];
+  } else if (process.env[PASSPHRASE_FILE_ENV]) {
+    passphrase = readPassphraseFrom(process.env[PASSPHRASE_FILE_ENV]);
+  }
+
+  // 2. Interactive prompt
+  if (passphrase === null) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`no passphrase available: set ${PASSPHRASE_ENV}, or pass --passphrase-file / --passphrase-fd`);
+    }
+    passphrase = await promptHidden('wallet passphrase: ');
+    if (confirm && passphrase !== await promptHidden('repeat passphrase: ')) {
+      throw new Error('passphrases do not match');
+    }
+  }
+
+  if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (passphrase.length === 0) {
+    throw new Error('passphrase is empty');
+  }
+  return passphrase;
+}
+
+/**
+ * Writes a keystore to disk, readable by the owner only.
+ * The file is written next to the target and renamed over it, so an
+ * interrupted write never leaves a half-written wallet.
+ * @param {string} filePath - The destination (usually `id.json`).
+ * @param {object} keystore - The keystore object.
+ */
+export function writeKeystore(filePath, keystore) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
@@ -0,0 +1,105 @@
+/**
+ * @file ledger.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Persistent transaction ledger.
+ * Every deploy, claim and cash-out transaction is appended to an
+ * append-only JSONL file (one file per wallet, under `ledger.dir`),
+ * together with its fee and confirmation slot fetched from the chain.
+ * The ledger survives restarts and is meant for reconciling what the
+ * bot actually spent and won.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import path from 'path';
+import { getConfig } from './config.mjs';
+import { log, appendJsonLine, readJsonLines } from './utils.mjs';
+
+// --- Constants ---
+const DETAILS_RETRIES = 3;
+const DETAILS_RETRY_DELAY_MS = 1500;
+
+// --- Private Helper Functions ---
+
+/**
+ * Fetches the fee and slot of a landed transaction.
+ * The RPC may not have indexed it right after confirmation, so this retries.
+ * @param {object} connection - The Solana connection object.
+ * @param {string} signature - The transaction signature.
+ * @returns {Promise<{fee: number|null, slot: number|null, chainError: object|null}>}
+ */
+async function fetchTransactionDetails(connection, signature) {
+  for (let attempt = 0; attempt < DETAILS_RETRIES; attempt++) {
+    try {
+      const tx = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+      if (tx) {
+        return {
+          fee: tx.meta?.fee ?? null,
+          slot: tx.slot,
+          chainError: tx.meta?.err ?? null,
+        };
+      }
+    } catch (e) { /* retry */ }
+
+    await new Promise(resolve => setTimeout(resolve, DETAILS_RETRY_DELAY_MS));
+  }
+  return { fee: null, slot: null, chainError: null };
+}
+
+// --- Public Functions ---
+
+/**
+ * Returns the ledger file path for a wallet.
+ * @param {PublicKey|string} wallet - The wallet public key.
+ * @returns {string} The JSONL file path.
+ */
+export function getLedgerPath(wallet) {
+  return path.resolve(process.cwd(), getConfig().ledger.dir, `${wallet.toString()}.jsonl`);
+}
+
+/**
+ * Records a transaction in the wallet's ledger.
+ * If the entry has a signature, its fee and confirmation slot are fetched first.
+ * Never throws: ledger problems are logged and must not break trading.
+ * @param {object} connection - The Solana connection object.
+ * @param {PublicKey} wallet - The wallet that signed the transaction.
+ * @param {object} entry - The entry ({ type, outcome, signature, ...type-specific fields }).
+ * @returns {Promise<void>}
+ */
+export async function recordTransaction(connection, wallet, entry) {
+  if (!getConfig().ledger.enabled) return;
+
+  try {
+    // 1. Enrich with on-chain details
+    let details = { fee: null, slot: null, chainError: null };
+    if (entry.signature) {
+      details = await fetchTransactionDetails(connection, entry.signature);
+    }
+
+    // 2. Append to the wallet's ledger
+    appendJsonLine(getLedgerPath(wallet), {
+      timestamp: new Date().toISOString(),
+      wallet: wallet.toBase58(),
+      ...entry,
+      fee: details.fee,
+      slot: details.slot,
+      ...(details.chainError ? { chainError: details.chainError } : {}),
+    });
+  } catch (e) {
+    log(`ledger write failed: ${e.message}`);
+  }
+}
+
+/**
+ * Reads every ledger entry of a wallet.
+ * @param {PublicKey|string} wallet - The wallet public key.
+ * @returns {Array<object>} The entries, oldest first.
+ */
+export function readLedger(wallet) {
+  return readJsonLines(getLedgerPath(wallet));
+}
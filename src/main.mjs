@@ -1,11 +1,16 @@
+#!/usr/bin/env node
 /**
  * @file main.mjs
  * @author Tamwood Technology @tamwoodtech
  * @org Radiants @RadiantsDAO
  * @description The main entry point for the Lodestar application.
- * This file initializes the TUI, sets up the Solana connection,
- * loads the signer wallet, starts the periodic price update loop,
- * and kicks off the main game loop.
+ * This file parses the command-line flags, loads the configuration,
+ * unlocks the wallet (and the swarm wallets), initializes the TUI (or the
+ * headless output when `--headless` is passed), loads the custom
+ * strategies, sets up the Solana connection, checks the wallet balance,
+ * starts the periodic price update and claim loops, and kicks off the main game
+ * loop. The `backtest` subcommand runs the offline backtester, and
+ * `encrypt-wallet` encrypts a plaintext wallet file.
  * @project lodestar-cli
  * @license MIT
  */
@@ -23,31 +28,111 @@ console.warn = (...args) => {
 };
 
 // --- Imports ---
-import { initTUI, showLowBalanceWarning } from './tui.mjs';
+import { initTUI, showLowBalanceWarning, updateControlsWindow, updateSwarmPanel } from './tui.mjs';
+import { initHeadless } from './headless.mjs';
+import {
+  parseCliArgs,
+  getConfigOverrides,
+  USAGE,
+  BACKTEST_USAGE,
+  ENCRYPT_WALLET_USAGE,
+} from './cli.mjs';
+import { loadConfig, describeEffectiveConfig, applyRuntimeSettings } from './config.mjs';
 import { setUtilWidgets, log, createPreciseInterval } from './utils.mjs';
 import { initConnection } from './solana.mjs';
 import { updatePrices, updateMinerStats } from './pricing.mjs';
+import { startGuardrailSession } from './guardrails.mjs';
+import { startPriorityFeeSampler } from './fees.mjs';
 import { updateCountdown, startGameLoop } from './game.mjs';
-import { PRICE_UPDATE_MS, CLAIM_INTERVAL_MS, MIN_CLAIM_THRESHOLD } from './constants.mjs';
-import { loadSigner } from './wallet.mjs';
-import { sendClaimSolTx } from './transactions.mjs';
+import { unlockSigner, loadSigner, encryptWalletCommand } from './wallet.mjs';
+import { startAutoClaim } from './claimPolicy.mjs';
 import { getState, setAppState } from './state.mjs';
+import { initPaperTrading, formatPaperStats } from './paperTrading.mjs';
+import { runBacktestCommand } from './backtest.mjs';
+import { loadStrategies, selectStrategy, getCustomStrategyNames } from './strategies.mjs';
+import { getSizingSettings, formatSizing } from './sizing.mjs';
+import {
+  initSwarm,
+  getSwarmWallets,
+  checkSwarmStrategies,
+  updateSwarmStats,
+  startSwarmClaims,
+  formatSwarmSummary,
+} from './swarm.mjs';
+
+// --- Constants ---
+const SUBCOMMAND_USAGE = {
+  'backtest': BACKTEST_USAGE,
+  'encrypt-wallet': ENCRYPT_WALLET_USAGE,
+};
 
 /**
  * Main application entry point.
  * Orchestrates the setup and execution of all application modules.
  */
 async function main() {
-  // 1. Initialize TUI and Utilities
-  const tuiWidgets = initTUI();
+  // 1. Parse Command-Line Flags
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (e) {
+    const usage = SUBCOMMAND_USAGE[process.argv[2]] || USAGE;
+    console.error(`error: ${e.message}\n\n${usage}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(SUBCOMMAND_USAGE[options.command] || USAGE);
+    process.exit(0);
+  }
+
+  // 2. Load Configuration (defaults < file < env < flags)
+  let config;
+  try {
+    config = loadConfig({ configPath: options.configPath, ...getConfigOverrides(options) });
+  } catch (e) {
+    console.error(`error: ${e.message}`);
+    process.exit(1);
+  }
+
+  // Offline commands exit here, before any TUI or network setup
+  if (options.command === 'backtest') {
+    process.exit(await runBacktestCommand(options));
+  }
+  if (options.command === 'encrypt-wallet') {
+    process.exit(await encryptWalletCommand(options));
+  }
+
+  applyRuntimeSettings(config);
+
+  // Unlock the wallet first: the passphrase prompt needs the terminal before the TUI takes it
+  await unlockSigner(options);
+  await initSwarm(options);
+
+  // 3. Initialize TUI (or headless output) and Utilities
+  const tuiWidgets = options.headless ? initHeadless(options) : initTUI();
   const { screen, logWindow } = tuiWidgets;
   setUtilWidgets({ logWindow, screen }); // Injects TUI widgets for global logging
 
-  // 2. Setup Solana Connection & Wallet
+  describeEffectiveConfig().forEach(line => log(line));
+
+  // Load custom strategies; automation.strategy replaces automation.mode when set
+  await loadStrategies();
+  if (config.automation.strategy && !selectStrategy(config.automation.strategy)) {
+    const available = getCustomStrategyNames().join(', ') || 'none loaded';
+    log(`unknown strategy "${config.automation.strategy}" (available: ${available}), keeping mode ${getState().appMode}`);
+  }
+  checkSwarmStrategies();
+  updateControlsWindow();
+
+  initPaperTrading();
+  tuiWidgets.paperPnlDisplay.setContent(formatPaperStats());
+
+  // 4. Setup Solana Connection & Wallet
   const connection = initConnection();
   const signer = await loadSigner(connection);
 
-  // 3. Bot wallet balance check
+  // 5. Bot wallet balance check
   const { userBalance, customDeployAmount } = getState();
 
   if (userBalance < customDeployAmount) {
@@ -61,48 +146,75 @@ async function main() {
     log(`LOW FUNDS DETECTED (${userBalance.toFixed(4)} SOL). ENFORCING SPECTATE MODE.`);
 
     // C. Show TUI Popup
-    showLowBalanceWarning(screen, signer.publicKey.toBase58());
+    if (!options.headless) {
+      showLowBalanceWarning(screen, signer.publicKey.toBase58());
+    }
+  }
+
+  if (options.headless) {
+    const { appMode, isSpeculating, customDeployAmount } = getState();
+    const sizing = formatSizing(getSizingSettings());
+    log(`headless mode: ${appMode}, ${customDeployAmount} sol/target, sizing ${sizing}, speculate ${isSpeculating ? 'ON' : 'OFF'}`);
   }
 
-  // 4. Start Main Application Loops
+  // 6. Start Main Application Loops
   try {
     log(`connecting to ${connection.rpcEndpoint}...`);
 
     // Start price update loop (fetch immediately, then set interval)
     try {
       updatePrices(connection, signer, tuiWidgets);
-      setInterval(() => updatePrices(connection, signer, tuiWidgets), PRICE_UPDATE_MS);
+      setInterval(() => updatePrices(connection, signer, tuiWidgets), config.prices.updateMs);
     } catch (e) {
       console.log(e)
     }
 
+    // Swarm wallets: refresh their stats with the prices, and claim on their own schedules
+    if (getSwarmWallets().length > 0) {
+      const refreshSwarm = async () => {
+        await updateSwarmStats(connection);
+        updateSwarmPanel();
+      };
+      await refreshSwarm();
+      setInterval(refreshSwarm, config.prices.updateMs);
+      startSwarmClaims(connection);
+
+      if (options.headless) {
+        formatSwarmSummary().forEach(line => log(line));
+      }
+    }
+
+    // Measure the guardrails' stop-loss / take-profit from here
+    await updateMinerStats(connection, signer, tuiWidgets);
+    await startGuardrailSession(connection);
+
+    // Sample priority fees ahead of the deploys
+    startPriorityFeeSampler(connection, signer);
+
     // Start TUI countdown timer
     createPreciseInterval(updateCountdown, 1000);
 
-    // Auto-Claim SOL (Every 5 mins)
-    setInterval(async () => {
-      const { minerRewardsSol, appMode } = getState();
-
-      const rewards = Number(minerRewardsSol); // Ensure it's a number
-
-      if (rewards >= MIN_CLAIM_THRESHOLD) {
-        log(`auto-claiming: ${rewards.toFixed(4)} SOL`);
-        
-        // Perform Claim
-        const success = await sendClaimSolTx(connection, signer);
-        
-        if (success) {
-          // If successful, force an immediate stats refresh to zero out the display
-          await updateMinerStats(connection, signer, tuiWidgets);
-        }
-      }
-    }, CLAIM_INTERVAL_MS);
+    // Auto-claim SOL, and ORE if enabled, under claim.policy (every claim.intervalMs, 5 mins by default)
+    startAutoClaim({
+      label: 'auto-claim',
+      connection,
+      signer,
+      getRewards: () => {
+        const { minerRewardsSol, minerRewardsOre, minerRefinedOre } = getState();
+        return {
+          sol: Number(minerRewardsSol),
+          ore: Number(minerRewardsOre) + Number(minerRefinedOre),
+        };
+      },
+      // Refresh the stats immediately to zero out the display
+      onClaimed: () => updateMinerStats(connection, signer, tuiWidgets),
+    });
 
     // Start the main game loop (fetches data and subscribes to accounts)
     await startGameLoop(connection, signer, tuiWidgets);
 
   } catch (error) {
-    // 5. Handle Fatal Errors
+    // 7. Handle Fatal Errors
     log(`FATAL ERROR: ${error.message}`);
     log(error.stack);
 
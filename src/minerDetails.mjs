@@ -0,0 +1,147 @@
+/**
+ * @file minerDetails.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Detailed view of the main wallet's Miner account.
+ * Formats the fields of the last fetched Miner PDA that the stats window
+ * does not show: the per-square deployment of the miner's last round
+ * (with the pool on each square before it), whether that round has been
+ * checkpointed, the pending rewards, the lifetime rewards in SOL, ORE
+ * and USD, and the last claim times. Shown in the TUI panel toggled
+ * with [M], so the account can be audited without a block explorer.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { SOL_PER_LAMPORT } from './constants.mjs';
+import { getState } from './state.mjs';
+import { colors } from './theme.mjs';
+import { truncateAddress } from './utils.mjs';
+import { getMinerPda } from './solana.mjs';
+import { getSigner } from './wallet.mjs';
+import { formatPriceAge } from './oracle.mjs';
+
+// --- Constants ---
+const ORE_DIVISOR = 100_000_000_000; // ORE uses 11 decimals
+
+// --- Private Helper Functions ---
+
+/**
+ * Formats a Unix timestamp (seconds) with how long ago it was.
+ * @param {bigint} timestamp - The on-chain timestamp, 0 if it never happened.
+ * @returns {string} e.g. "2025-11-02 14:03:11 (3h ago)", or "never".
+ */
+function formatTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!(seconds > 0)) return 'never';
+
+  const date = new Date(seconds * 1000);
+  const ago = Math.max(0, Math.floor(Date.now() / 1000 - seconds));
+  let agoText = `${Math.floor(ago / 86400)}d`;
+  if (ago < 60) agoText = `${ago}s`;
+  else if (ago < 3600) agoText = `${Math.floor(ago / 60)}m`;
+  else if (ago < 86400) agoText = `${Math.floor(ago / 3600)}h`;
+
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60_000).toISOString();
+  return `${local.slice(0, 10)} ${local.slice(11, 19)} (${agoText} ago)`;
+}
+
+/**
+ * Formats a USD value, or a placeholder without a price.
+ * @param {number} amount - The amount of the asset.
+ * @param {number} priceUsd - The USD price of the asset (0 if unknown).
+ * @returns {string} e.g. "$12.34", or "$--".
+ */
+function formatUsd(amount, priceUsd) {
+  return priceUsd > 0 ? `$${(amount * priceUsd).toFixed(2)}` : '$--';
+}
+
+/**
+ * Formats the miner's per-square deployment as a 5x5 grid, in SOL.
+ * @param {Array<bigint>} deployed - Lamports deployed on each square.
+ * @returns {Array<string>} One line per board row.
+ */
+function formatDeploymentGrid(deployed) {
+  const lines = [];
+  for (let row = 0; row < 5; row++) {
+    const cells = [];
+    for (let col = 0; col < 5; col++) {
+      const i = row * 5 + col;
+      const sol = Number(deployed[i]) * SOL_PER_LAMPORT;
+      const cell = `#${String(i + 1).padEnd(2)} ${sol > 0 ? sol.toFixed(4) : '     -'}`;
+      cells.push(sol > 0 ? `{${colors.GREEN}-fg}${cell}{/${colors.GREEN}-fg}` : `{${colors.GREY}-fg}${cell}{/${colors.GREY}-fg}`);
+    }
+    lines.push(`  ${cells.join('  ')}`);
+  }
+  return lines;
+}
+
+// --- Public Functions ---
+
+/**
+ * Builds the Miner detail lines from the last fetched Miner account.
+ * @returns {Array<string>} The lines, with blessed color tags.
+ */
+export function formatMinerDetails() {
+  const { minerAccount, minerUpdatedAt, currentRoundId, PRICE_SOL_USD, PRICE_ORE_USD } = getState();
+  const signer = getSigner();
+
+  if (!minerAccount) {
+    return [' no Miner account yet (it is created by the first deploy)'];
+  }
+
+  const heading = text => `{${colors.YELLOW}-fg}${text}{/${colors.YELLOW}-fg}`;
+  const lines = [];
+
+  // 1. Account
+  lines.push(` ${heading('miner')} ${signer ? truncateAddress(getMinerPda(signer.publicKey).toBase58()) : '--'}`
+    + `  authority ${truncateAddress(minerAccount.authority.toBase58())}`
+    + `  {${colors.GREY}-fg}(fetched ${formatPriceAge(minerUpdatedAt)} ago){/${colors.GREY}-fg}`);
+  lines.push('');
+
+  // 2. Last round played: per-square deployment, and the pool on each square before it
+  const roundId = minerAccount.round_id.toString();
+  const isCurrent = currentRoundId.gten(0) && currentRoundId.toString() === roundId;
+  const totalDeployed = minerAccount.deployed.reduce((sum, lamports) => sum + lamports, 0n);
+  const squares = minerAccount.deployed.map((lamports, i) => ({ id: i + 1, lamports })).filter(s => s.lamports > 0n);
+
+  lines.push(` ${heading(`round ${roundId}`)} ${isCurrent ? '(this round)' : '(last round played)'}`
+    + `: ${(Number(totalDeployed) * SOL_PER_LAMPORT).toFixed(4)} SOL on ${squares.length} square(s)`);
+  lines.push(...formatDeploymentGrid(minerAccount.deployed));
+  if (squares.length > 0) {
+    const pools = squares.map(s => `#${s.id} ${(Number(minerAccount.cumulative[s.id - 1]) * SOL_PER_LAMPORT).toFixed(4)}`);
+    lines.push(`  pool before you: ${pools.join(', ')} SOL`);
+  }
+  lines.push('');
+
+  // 3. Checkpoint: rewards of the last round played are only credited once it is checkpointed
+  const checkpointId = minerAccount.checkpoint_id.toString();
+  const checkpointFee = Number(minerAccount.checkpoint_fee) * SOL_PER_LAMPORT;
+  const checkpointText = checkpointId === roundId
+    ? `{${colors.GREEN}-fg}up to date{/${colors.GREEN}-fg} (round ${checkpointId})`
+    : `{${colors.YELLOW}-fg}round ${roundId} pending{/${colors.YELLOW}-fg} (last checkpoint: round ${checkpointId})`;
+  lines.push(` ${heading('checkpoint')} ${checkpointText}, fee reserved ${checkpointFee.toFixed(6)} SOL`);
+  lines.push('');
+
+  // 4. Rewards: pending and lifetime
+  const rewardsSol = Number(minerAccount.rewards_sol) * SOL_PER_LAMPORT;
+  const rewardsOre = Number(minerAccount.rewards_ore) / ORE_DIVISOR;
+  const refinedOre = Number(minerAccount.refined_ore) / ORE_DIVISOR;
+  const lifetimeSol = Number(minerAccount.lifetime_rewards_sol) * SOL_PER_LAMPORT;
+  const lifetimeOre = Number(minerAccount.lifetime_rewards_ore) / ORE_DIVISOR;
+  const lifetimeUsd = PRICE_SOL_USD > 0 && PRICE_ORE_USD > 0
+    ? `$${(lifetimeSol * PRICE_SOL_USD + lifetimeOre * PRICE_ORE_USD).toFixed(2)}`
+    : '$--';
+
+  lines.push(` ${heading('pending')}   ${rewardsSol.toFixed(6)} SOL  ${rewardsOre.toFixed(4)} ORE unrefined  ${refinedOre.toFixed(4)} ORE refined`);
+  lines.push(` ${heading('lifetime')}  ${lifetimeSol.toFixed(6)} SOL (${formatUsd(lifetimeSol, PRICE_SOL_USD)})`
+    + `  ${lifetimeOre.toFixed(4)} ORE (${formatUsd(lifetimeOre, PRICE_ORE_USD)})  total ${lifetimeUsd}`);
+  lines.push('');
+
+  // 5. Last claims
+  lines.push(` ${heading('last claim')} SOL ${formatTimestamp(minerAccount.last_claim_sol_at)}`);
+  lines.push(`            ORE ${formatTimestamp(minerAccount.last_claim_ore_at)}`);
+
+  return lines;
+}
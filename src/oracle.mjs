@@ -0,0 +1,232 @@
+/**
+ * @file oracle.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Multi-source ORE and SOL price oracle.
+ * Queries DexScreener, Jupiter's price API and, when configured, the
+ * reserves of an on-chain ORE/SOL AMM pool read through the Connection.
+ * The ORE/SOL ratio is the median of the sources after rejecting those
+ * more than `prices.maxDeviation` away from the median; USD prices are
+ * the medians of the sources that report them. A failed or inconclusive
+ * refresh keeps the last good value, which is timestamped so its age can
+ * be shown and checked.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import fetch from 'node-fetch';
+import { PublicKey } from '@solana/web3.js';
+import { ORE_TOKEN_ADDRESS, SOL_TOKEN_ADDRESS } from './constants.mjs';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+
+// --- Constants ---
+const FETCH_TIMEOUT_MS = 5_000;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64; // SPL token account: mint (32), owner (32), amount (u64)
+const ORE_DECIMALS = 11;
+const SOL_DECIMALS = 9;
+
+// --- Module-level Variables ---
+let lastGoodPrice = null; // { oreSol, oreUsd, solUsd, sources, updatedAt, move }
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {Array<number>} values - The values (not empty).
+ * @returns {number} The median.
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Fetches JSON with a timeout.
+ * @param {string} url - The URL.
+ * @returns {Promise<object>} The parsed body.
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the USD price of a token from DexScreener, from its highest-volume pair.
+ * @param {string} tokenAddress - The mint address of the token.
+ * @returns {Promise<number>} The price in USD, or 0 if no pair is found.
+ */
+async function fetchDexScreenerPrice(tokenAddress) {
+  const data = await fetchJson(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
+  if (!data?.pairs?.length) return 0;
+
+  // Find the pair with the highest 24h volume for the most reliable price
+  const bestPair = data.pairs.reduce((best, pair) => {
+    const volume = parseFloat(pair.volume?.h24 || 0);
+    const bestVolume = parseFloat(best.volume?.h24 || 0);
+    return volume > bestVolume ? pair : best;
+  });
+  return parseFloat(bestPair.priceUsd) || 0;
+}
+
+/**
+ * DexScreener source: ORE and SOL in USD.
+ * @returns {Promise<{ oreSol: number, oreUsd: number, solUsd: number }>}
+ */
+async function queryDexScreener() {
+  const [oreUsd, solUsd] = await Promise.all([
+    fetchDexScreenerPrice(ORE_TOKEN_ADDRESS),
+    fetchDexScreenerPrice(SOL_TOKEN_ADDRESS),
+  ]);
+  if (!(oreUsd > 0) || !(solUsd > 0)) {
+    throw new Error('no price for ORE or SOL');
+  }
+  return { oreSol: oreUsd / solUsd, oreUsd, solUsd };
+}
+
+/**
+ * Jupiter source: ORE and SOL in USD from the price API.
+ * @returns {Promise<{ oreSol: number, oreUsd: number, solUsd: number }>}
+ */
+async function queryJupiter() {
+  const data = await fetchJson(`https://lite-api.jup.ag/price/v3?ids=${ORE_TOKEN_ADDRESS},${SOL_TOKEN_ADDRESS}`);
+  const oreUsd = Number(data?.[ORE_TOKEN_ADDRESS]?.usdPrice);
+  const solUsd = Number(data?.[SOL_TOKEN_ADDRESS]?.usdPrice);
+  if (!(oreUsd > 0) || !(solUsd > 0)) {
+    throw new Error('no price for ORE or SOL');
+  }
+  return { oreSol: oreUsd / solUsd, oreUsd, solUsd };
+}
+
+/**
+ * AMM source: the ORE/SOL ratio from the reserves of a constant-product pool,
+ * read from its two token vaults in one RPC call.
+ * @param {Connection} connection - The Solana connection object.
+ * @param {string} oreVault - The pool's ORE token account.
+ * @param {string} solVault - The pool's wrapped SOL token account.
+ * @returns {Promise<{ oreSol: number, oreUsd: null, solUsd: null }>}
+ */
+async function queryAmm(connection, oreVault, solVault) {
+  const [oreInfo, solInfo] = await connection.getMultipleAccountsInfo([
+    new PublicKey(oreVault),
+    new PublicKey(solVault),
+  ]);
+  if (!oreInfo || !solInfo) {
+    throw new Error('vault account not found');
+  }
+
+  const oreReserve = Number(oreInfo.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET)) / 10 ** ORE_DECIMALS;
+  const solReserve = Number(solInfo.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET)) / 10 ** SOL_DECIMALS;
+  if (!(oreReserve > 0) || !(solReserve > 0)) {
+    throw new Error('empty reserves');
+  }
+  return { oreSol: solReserve / oreReserve, oreUsd: null, solUsd: null };
+}
+
+// --- Public Functions ---
+
+/**
+ * Queries every price source and aggregates them. On success the result
+ * becomes the last good price; otherwise the last good price is kept.
+ * @param {Connection} connection - The Solana connection object.
+ * @returns {Promise<object|null>} The last good price ({ oreSol, oreUsd, solUsd,
+ * sources, updatedAt, move }), or null if there never was one. `move` is the
+ * relative change of the ratio from the previous good price.
+ */
+export async function refreshPrice(connection) {
+  const { maxDeviation, ammOreVault, ammSolVault } = getConfig().prices;
+
+  // 1. Query the sources in parallel
+  const queries = [
+    ['dexscreener', queryDexScreener()],
+    ['jupiter', queryJupiter()],
+  ];
+  if (ammOreVault && ammSolVault) {
+    queries.push(['amm', queryAmm(connection, ammOreVault, ammSolVault)]);
+  }
+
+  const results = await Promise.allSettled(queries.map(([, query]) => query));
+  const quotes = [];
+  results.forEach((result, i) => {
+    const name = queries[i][0];
+    if (result.status === 'fulfilled') {
+      quotes.push({ name, ...result.value });
+    } else {
+      log(`price source ${name} failed: ${result.reason?.message}`);
+    }
+  });
+
+  if (quotes.length === 0) {
+    log('price: every source failed, keeping the last good price');
+    return lastGoodPrice;
+  }
+
+  // 2. Reject the sources too far from the median ORE/SOL ratio
+  const center = median(quotes.map(q => q.oreSol));
+  const accepted = quotes.filter(q => Math.abs(q.oreSol - center) / center <= maxDeviation);
+  for (const rejected of quotes.filter(q => !accepted.includes(q))) {
+    log(`price source ${rejected.name} rejected as an outlier: ore/sol ${rejected.oreSol.toFixed(6)} vs median ${center.toFixed(6)}`);
+  }
+  if (accepted.length === 0) {
+    log('price: sources disagree, keeping the last good price');
+    return lastGoodPrice;
+  }
+
+  // 3. Aggregate: median ratio, and median USD prices where reported
+  const oreSol = median(accepted.map(q => q.oreSol));
+  const solQuotes = accepted.filter(q => q.solUsd !== null).map(q => q.solUsd);
+  const solUsd = solQuotes.length > 0 ? median(solQuotes) : (lastGoodPrice?.solUsd ?? 0);
+
+  lastGoodPrice = {
+    oreSol,
+    oreUsd: oreSol * solUsd,
+    solUsd,
+    sources: accepted.map(q => q.name),
+    updatedAt: Date.now(),
+    move: lastGoodPrice ? Math.abs(oreSol - lastGoodPrice.oreSol) / lastGoodPrice.oreSol : 0,
+  };
+  return lastGoodPrice;
+}
+
+/**
+ * Returns the last good price.
+ * @returns {object|null} { oreSol, oreUsd, solUsd, sources, updatedAt, move }, or null.
+ */
+export function getLastGoodPrice() {
+  return lastGoodPrice;
+}
+
+/**
+ * Checks that the price is safe to act on: present, recent enough
+ * (`prices.maxAgeMs`), and not jumping (`prices.maxMove` since the previous sample).
+ * @returns {string|null} Why the price cannot be used, or null if it can.
+ */
+export function checkPriceSafety() {
+  const { maxAgeMs, maxMove } = getConfig().prices;
+
+  if (!lastGoodPrice || !(lastGoodPrice.oreSol > 0)) {
+    return 'no ore/sol price';
+  }
+  if (Date.now() - lastGoodPrice.updatedAt > maxAgeMs) {
+    return `price is ${formatPriceAge(lastGoodPrice.updatedAt)} old (max ${Math.round(maxAgeMs / 1000)}s)`;
+  }
+  if (maxMove !== null && lastGoodPrice.move > maxMove) {
+    return `ore/sol moved ${(lastGoodPrice.move * 100).toFixed(1)}% since the last sample (max ${+(maxMove * 100).toFixed(2)}%)`;
+  }
+  return null;
+}
+
+/**
+ * Formats how long ago a timestamp was, for display.
+ * @param {number} updatedAt - Epoch milliseconds.
+ * @returns {string} e.g. "12s", "3m".
+ */
+export function formatPriceAge(updatedAt) {
+  const seconds = Math.max(0, Math.floor((Date.now() - updatedAt) / 1000));
+  return seconds < 120 ? `${seconds}s` : `${Math.floor(seconds / 60)}m`;
+}
@@ -0,0 +1,147 @@
+/**
+ * @file paperTrading.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Paper-trading ledger for Speculation mode.
+ * Every speculative deploy is recorded with its targets and amounts,
+ * settled against the real winning square once the round ends, and
+ * credited with the proportional payout it would have earned. Settled
+ * trades are appended to a JSONL file, and the running simulated P&L,
+ * hit rate and ROI are rebuilt from it on startup.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import path from 'path';
+import { getConfig } from './config.mjs';
+import { computeSimulatedPayout } from './ev.mjs';
+import { log, formatSol, appendJsonLine, readJsonLines } from './utils.mjs';
+import { colors } from './theme.mjs';
+
+// --- Module-level Variables ---
+const pendingTrades = new Map(); // roundId (string) -> trade
+
+const stats = {
+  rounds: 0,
+  hits: 0,
+  deployed: 0,
+  returned: 0,
+  fees: 0,
+  pnl: 0,
+};
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns the paper-trade file path.
+ * @returns {string} The JSONL file path.
+ */
+function getPaperTradesPath() {
+  return path.resolve(process.cwd(), getConfig().paper.file);
+}
+
+/**
+ * Adds a settled trade to the running totals.
+ * @param {object} trade - The settled trade record.
+ */
+function accumulate(trade) {
+  stats.rounds += 1;
+  stats.hits += trade.hit ? 1 : 0;
+  stats.deployed += trade.deployed;
+  stats.returned += trade.returned;
+  stats.fees += trade.fees;
+  stats.pnl += trade.net;
+}
+
+// --- Public Functions ---
+
+/**
+ * Rebuilds the running totals from the paper-trade file.
+ * Called once on startup.
+ */
+export function initPaperTrading() {
+  try {
+    readJsonLines(getPaperTradesPath()).forEach(accumulate);
+  } catch (e) {
+    log(`error loading paper trades: ${e.message}`);
+  }
+}
+
+/**
+ * Records a speculative deploy, to be settled when the round ends.
+ * @param {BN|string} roundId - The round the deploy would have gone into.
+ * @param {Array<{id: number, amount: number}>} deployments - Square ids (1-25) and SOL amounts.
+ * @param {string} mode - The automation mode that picked the targets.
+ */
+export function recordPaperTrade(roundId, deployments, mode) {
+  const total = deployments.reduce((sum, d) => sum + d.amount, 0);
+
+  pendingTrades.set(roundId.toString(), {
+    roundId: roundId.toString(),
+    mode,
+    deployments,
+    placedAt: new Date().toISOString(),
+  });
+
+  log(`paper trade: ${total.toFixed(4)} sol on ${deployments.map(d => `#${d.id}`).join(' ')}`);
+}
+
+/**
+ * Settles the pending speculative deploy of a finished round, if any.
+ * @param {string} roundId - The finished round id.
+ * @param {object} roundData - The final parsed round data.
+ * @param {number} winningSquare - The winning square id (1-25).
+ * @returns {object|null} The settled trade, or null if nothing was pending.
+ */
+export function settlePaperTrade(roundId, roundData, winningSquare) {
+  const pending = pendingTrades.get(roundId);
+  if (!pending) return null;
+  pendingTrades.delete(roundId);
+
+  // 1. Compute the simulated outcome
+  const payout = computeSimulatedPayout(roundData, pending.deployments, winningSquare);
+  const trade = {
+    ...pending,
+    winningSquare,
+    ...payout,
+    settledAt: new Date().toISOString(),
+  };
+
+  // 2. Update totals and persist
+  accumulate(trade);
+  try {
+    appendJsonLine(getPaperTradesPath(), trade);
+  } catch (e) {
+    log(`error saving paper trade: ${e.message}`);
+  }
+
+  log(`paper result round ${roundId}: ${trade.hit ? 'HIT' : 'miss'} ${formatSol(trade.net)} sol (total ${formatSol(stats.pnl)})`);
+  return trade;
+}
+
+/**
+ * Returns the running paper-trading statistics.
+ * @returns {object} { rounds, hits, deployed, returned, fees, pnl, hitRate, roi }
+ */
+export function getPaperStats() {
+  return {
+    ...stats,
+    hitRate: stats.rounds > 0 ? stats.hits / stats.rounds : 0,
+    roi: stats.deployed > 0 ? stats.pnl / stats.deployed : 0,
+  };
+}
+
+/**
+ * Formats the paper-trading statistics for the stats window.
+ * @returns {string} A blessed-tagged display string.
+ */
+export function formatPaperStats() {
+  const { rounds, hits, pnl, roi } = getPaperStats();
+  if (rounds === 0) {
+    return '    paper p&l: --';
+  }
+
+  const pnlColor = pnl >= 0 ? colors.GREEN : colors.RED;
+  return `    paper p&l: {${pnlColor}-fg}${formatSol(pnl)}{/${pnlColor}-fg} | hit ${hits}/${rounds} | roi ${(roi * 100).toFixed(1)}%`;
+}
@@ -2,53 +2,30 @@
  * @file pricing.mjs
  * @author Tamwood Technology @tamwoodtech
  * @org Radiants @RadiantsDAO
- * @description Handles all external price fetching from DexScreener.
- * This module periodically calls the DexScreener API to get the
- * current USD prices for ORE and SOL, calculates the ORE/SOL ratio,
- * and updates the global state and TUI with the new values.
+ * @description Handles price and miner stats updates.
+ * This module periodically refreshes the ORE and SOL prices from the
+ * multi-source oracle (see oracle.mjs), keeps the ORE/SOL ratio in the
+ * global state, and updates the TUI with the prices, their sources and
+ * their age, as well as the wallet balance and Miner PDA stats.
  * @project lodestar-cli
  * @license MIT
  */
 
 // --- Imports ---
-import fetch from 'node-fetch';
 import {
   LAMPORTS_PER_SOL,
 } from '@solana/web3.js';
-import { ORE_TOKEN_ADDRESS, SOL_TOKEN_ADDRESS, SOL_PER_LAMPORT } from './constants.mjs';
+import { SOL_PER_LAMPORT } from './constants.mjs';
 import { getState, setAppState } from './state.mjs';
+import { getConfig } from './config.mjs';
 import { log } from './utils.mjs';
 import { colors } from './theme.mjs';
 import { getMinerPda, parseMiner } from './solana.mjs';
+import { refreshPrice, getLastGoodPrice, formatPriceAge } from './oracle.mjs';
+import { updateMinerPanel } from './tui.mjs';
 
 // --- Private Functions ---
 
-/**
- * Fetches the USD price for a given token address from DexScreener.
- * @param {string} tokenAddress - The mint address of the token.
- * @returns {Promise<number>} The price in USD, or 0 if an error occurs.
- */
-async function fetchPrice(tokenAddress) {
-  try {
-    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-    const data = await response.json();
-
-    if (data && data.pairs && data.pairs.length > 0) {
-      // Find the pair with the highest 24h volume for the most reliable price
-      const bestPair = data.pairs.reduce((best, pair) => {
-        const volume = parseFloat(pair.volume?.h24 || 0);
-        const bestVolume = parseFloat(best.volume?.h24 || 0);
-        return volume > bestVolume ? pair : best;
-      });
-      return parseFloat(bestPair.priceUsd);
-    }
-  } catch (e) {
-    log(`error fetching price for ${tokenAddress}: ${e.message}`);
-  }
-  // Return 0 if API fails or no pairs are found
-  return 0;
-}
-
 export async function updateMinerStats(connection, signer, tuiWidgets) {
   if (!signer) return;
 
@@ -73,7 +50,10 @@ export async function updateMinerStats(connection, signer, tuiWidgets) {
         minerRewardsSol: rewardsSol,
         minerRewardsOre: rewardsOre,
         minerRefinedOre: refinedOre,
+        minerAccount: minerData,
+        minerUpdatedAt: Date.now(),
       });
+      updateMinerPanel();
 
       // 3. Update TUI Widgets
       const { 
@@ -104,6 +84,29 @@ export async function updateMinerStats(connection, signer, tuiWidgets) {
 
 // --- Public Functions ---
 
+/**
+ * Shows the last good prices, their sources and their age in the stats window.
+ * Called on every price refresh and every countdown tick, so the age stays current.
+ * @param {object} tuiWidgets - The object containing all TUI widgets.
+ */
+export function updatePriceDisplay(tuiWidgets) {
+  const { orePriceDisplay, solPriceDisplay, oreSolRatioDisplay } = tuiWidgets;
+  const price = getLastGoodPrice();
+  if (!price) return;
+
+  // Older than two refreshes: a refresh failed
+  const ageColor = Date.now() - price.updatedAt > getConfig().prices.updateMs * 2 ? colors.RED : colors.GREY;
+  const age = `{${ageColor}-fg}${formatPriceAge(price.updatedAt)} ago, ${price.sources.length} src{/${ageColor}-fg}`;
+
+  if (price.oreUsd > 0) {
+    orePriceDisplay.setContent(`    ore price: {${colors.YELLOW}-fg}$${price.oreUsd.toFixed(2)}{/${colors.YELLOW}-fg}`);
+  }
+  if (price.solUsd > 0) {
+    solPriceDisplay.setContent(`    sol price: {${colors.YELLOW}-fg}$${price.solUsd.toFixed(2)}{/${colors.YELLOW}-fg}`);
+  }
+  oreSolRatioDisplay.setContent(`      ore/sol: {${colors.YELLOW}-fg}${price.oreSol.toFixed(6)}{/${colors.YELLOW}-fg} ${age}`);
+}
+
 /**
  * Updates all token prices, calculates the ORE/SOL ratio, and updates the TUI.
  * This function is called on startup and then on a set interval.
@@ -112,34 +115,23 @@ export async function updateMinerStats(connection, signer, tuiWidgets) {
  * @param {object} tuiWidgets - The object containing all TUI widgets.
  */
 export async function updatePrices(connection, signer, tuiWidgets) {
-  const { orePriceDisplay, solPriceDisplay, oreSolRatioDisplay, screen } = tuiWidgets;
-
-  // 1. Fetch prices from the API
-  const oreUsd = await fetchPrice(ORE_TOKEN_ADDRESS);
-  const solUsd = await fetchPrice(SOL_TOKEN_ADDRESS);
+  const { screen } = tuiWidgets;
 
-  let oreSolRatio = 0;
+  // 1. Refresh the prices from the oracle (keeps the last good price on failure)
+  const price = await refreshPrice(connection);
 
   // 2. Update TUI widgets with new prices
-  if (oreUsd > 0) {
-    orePriceDisplay.setContent(`    ore price: {${colors.YELLOW}-fg}$${oreUsd.toFixed(2)}{/${colors.YELLOW}-fg}`);
-  }
-  if (solUsd > 0) {
-    solPriceDisplay.setContent(`    sol price: {${colors.YELLOW}-fg}$${solUsd.toFixed(2)}{/${colors.YELLOW}-fg}`);
-  }
-  if (oreUsd > 0 && solUsd > 0) {
-    oreSolRatio = oreUsd / solUsd;
-    oreSolRatioDisplay.setContent(`      ore/sol: {${colors.YELLOW}-fg}${oreSolRatio.toFixed(6)}{/${colors.YELLOW}-fg}`);
-  }
+  updatePriceDisplay(tuiWidgets);
 
   const balanceLamports = await connection.getBalance(signer.publicKey);
   const balanceSol = balanceLamports / LAMPORTS_PER_SOL;
 
   // 3. Update the global app state
   setAppState({
-    PRICE_ORE_USD: oreUsd,
-    PRICE_SOL_USD: solUsd,
-    priceOreSol: oreSolRatio,
+    PRICE_ORE_USD: price?.oreUsd ?? 0,
+    PRICE_SOL_USD: price?.solUsd ?? 0,
+    priceOreSol: price?.oreSol ?? 0,
+    priceUpdatedAt: price?.updatedAt ?? null,
     userBalance: balanceSol,
   });
 
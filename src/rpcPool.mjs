@@ -0,0 +1,351 @@
+/**
+ * @file rpcPool.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Pool of Solana RPC endpoints with health checks and failover.
+ * Each endpoint is scored by latency, slot freshness and error rate. The
+ * pool exposes a single Connection-like facade that always forwards to the
+ * healthiest endpoint, retries failed reads on another endpoint, and moves
+ * websocket subscriptions over when the primary changes. Raw transactions
+ * can be broadcast to several endpoints at once.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { Connection } from '@solana/web3.js';
+import { MS_PER_SLOT } from './constants.mjs';
+import { log } from './utils.mjs';
+
+// --- Constants ---
+const ERROR_RATE_WEIGHT = 0.2;  // EWMA weight of the newest request outcome
+const MAX_ERROR_RATE = 0.5;     // Endpoints failing more often than this are unhealthy
+const ERROR_RATE_PENALTY_MS = 2000;
+
+/**
+ * Subscription methods that are tracked by the pool, mapped to their
+ * matching unsubscribe method. These are re-created on failover.
+ */
+const MANAGED_SUBSCRIPTIONS = {
+  onAccountChange: 'removeAccountChangeListener',
+  onSlotChange: 'removeSlotChangeListener',
+};
+
+// --- Module-level Variables ---
+let endpoints = [];
+let primary = null;
+let maxSlotLag = 10;
+let healthCheckTimer = null;
+let poolDownLogged = false;
+
+const subscriptions = new Map(); // managedId -> { method, args, endpoint, innerId }
+let nextSubscriptionId = 1;
+
+// --- Private Helper Functions ---
+
+/**
+ * Records the outcome of a request against an endpoint's error rate.
+ * @param {object} endpoint - The pool endpoint.
+ * @param {boolean} failed - Whether the request failed.
+ */
+function recordOutcome(endpoint, failed) {
+  endpoint.errorRate = endpoint.errorRate * (1 - ERROR_RATE_WEIGHT) + (failed ? ERROR_RATE_WEIGHT : 0);
+}
+
+/**
+ * Computes an endpoint score (lower is better), in milliseconds.
+ * Latency, slots behind the freshest endpoint and error rate all add to it.
+ * @param {object} endpoint - The pool endpoint.
+ * @param {number} bestSlot - The highest slot seen across the pool.
+ * @returns {number} The score.
+ */
+function scoreEndpoint(endpoint, bestSlot) {
+  const slotLag = Math.max(0, bestSlot - endpoint.slot);
+  return endpoint.latencyMs
+    + slotLag * MS_PER_SLOT
+    + endpoint.errorRate * ERROR_RATE_PENALTY_MS;
+}
+
+/**
+ * Measures latency and slot height of one endpoint.
+ * @param {object} endpoint - The pool endpoint.
+ */
+async function checkEndpoint(endpoint) {
+  const start = performance.now();
+  try {
+    endpoint.slot = await endpoint.connection.getSlot();
+    endpoint.latencyMs = performance.now() - start;
+    endpoint.lastCheckOk = true;
+    recordOutcome(endpoint, false);
+  } catch (e) {
+    endpoint.lastCheckOk = false;
+    recordOutcome(endpoint, true);
+  }
+}
+
+/**
+ * Returns the healthy endpoints, best first.
+ * @returns {Array<object>} The sorted endpoints.
+ */
+function getRankedEndpoints() {
+  const bestSlot = Math.max(0, ...endpoints.map(e => e.slot));
+
+  for (const endpoint of endpoints) {
+    const slotLag = bestSlot - endpoint.slot;
+    endpoint.healthy = endpoint.lastCheckOk
+      && slotLag <= maxSlotLag
+      && endpoint.errorRate <= MAX_ERROR_RATE;
+    endpoint.score = scoreEndpoint(endpoint, bestSlot);
+  }
+
+  return endpoints
+    .filter(e => e.healthy)
+    .sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Subscribes a managed subscription on the given endpoint.
+ * @param {object} subscription - The managed subscription record.
+ * @param {object} endpoint - The endpoint to subscribe on.
+ */
+function attachSubscription(subscription, endpoint) {
+  subscription.endpoint = endpoint;
+  subscription.innerId = endpoint.connection[subscription.method](...subscription.args);
+}
+
+/**
+ * Removes a managed subscription from the endpoint it is attached to.
+ * @param {object} subscription - The managed subscription record.
+ */
+async function detachSubscription(subscription) {
+  const removeMethod = MANAGED_SUBSCRIPTIONS[subscription.method];
+  try {
+    await subscription.endpoint.connection[removeMethod](subscription.innerId);
+  } catch (e) { /* ignore, the old socket may already be dead */ }
+}
+
+/**
+ * Switches the primary endpoint and moves every subscription to it.
+ * @param {object} endpoint - The new primary endpoint.
+ */
+async function switchPrimary(endpoint) {
+  const previous = primary;
+  primary = endpoint;
+  log(`rpc failover: ${previous.url} -> ${endpoint.url}`);
+
+  for (const subscription of subscriptions.values()) {
+    await detachSubscription(subscription);
+    attachSubscription(subscription, endpoint);
+  }
+}
+
+/**
+ * Runs a health check on every endpoint and fails over if needed.
+ */
+async function runHealthChecks() {
+  await Promise.all(endpoints.map(checkEndpoint));
+
+  const ranked = getRankedEndpoints();
+  if (ranked.length === 0) {
+    if (!poolDownLogged) {
+      log('rpc pool: no healthy endpoints, staying on current primary');
+      poolDownLogged = true;
+    }
+    return;
+  }
+  poolDownLogged = false;
+
+  // Only switch when the primary is unhealthy or clearly beaten,
+  // to avoid flapping between endpoints with similar scores
+  const best = ranked[0];
+  if (best !== primary && (!primary.healthy || best.score < primary.score * 0.5)) {
+    await switchPrimary(best);
+  }
+}
+
+/**
+ * Wraps a Connection method so it runs on the current primary,
+ * records the outcome, and retries reads once on the next healthy endpoint.
+ * @param {string} method - The Connection method name.
+ * @returns {Function} The wrapped method.
+ */
+function wrapMethod(method) {
+  return (...args) => {
+    const endpoint = primary;
+    const result = endpoint.connection[method](...args);
+
+    // Synchronous methods are forwarded as-is
+    if (!result || typeof result.then !== 'function') {
+      return result;
+    }
+
+    return result.then(
+      (value) => {
+        recordOutcome(endpoint, false);
+        return value;
+      },
+      (error) => {
+        recordOutcome(endpoint, true);
+
+        // Only idempotent reads are retried
+        const fallback = getRankedEndpoints().find(e => e !== endpoint);
+        if (!method.startsWith('get') || !fallback) {
+          throw error;
+        }
+        return fallback.connection[method](...args).then(
+          (value) => {
+            recordOutcome(fallback, false);
+            return value;
+          },
+          (fallbackError) => {
+            recordOutcome(fallback, true);
+            throw fallbackError;
+          }
+        );
+      }
+    );
+  };
+}
+
+/**
+ * Creates a managed-subscription method (e.g. `onAccountChange`).
+ * @param {string} method - The subscribe method name.
+ * @returns {Function} A function returning a pool-level subscription id.
+ */
+function wrapSubscribe(method) {
+  return (...args) => {
+    const id = nextSubscriptionId++;
+    const subscription = { method, args };
+    attachSubscription(subscription, primary);
+    subscriptions.set(id, subscription);
+    return id;
+  };
+}
+
+/**
+ * Creates a managed-unsubscribe method (e.g. `removeAccountChangeListener`).
+ * @returns {Function} An async function taking a pool-level subscription id.
+ */
+function wrapUnsubscribe() {
+  return async (id) => {
+    const subscription = subscriptions.get(id);
+    if (!subscription) return;
+    subscriptions.delete(id);
+    await detachSubscription(subscription);
+  };
+}
+
+// --- Public Functions ---
+
+/**
+ * Initializes the pool and returns a Connection-like facade over it.
+ * @param {object} options
+ * @param {Array<{http: string, ws: string|null}>} options.endpoints - The endpoints, primary first.
+ * @param {string} options.commitment - The commitment level for every connection.
+ * @param {number} options.healthCheckMs - Interval between health checks.
+ * @param {number} options.maxSlotLag - Slots an endpoint may trail the freshest one before it is unhealthy.
+ * @returns {Connection} The pooled connection facade.
+ */
+export function initRpcPool(options) {
+  // 1. Build one Connection per endpoint
+  endpoints = options.endpoints.map(({ http, ws }) => ({
+    url: http,
+    connection: new Connection(http, {
+      commitment: options.commitment,
+      ...(ws ? { wsEndpoint: ws } : {}),
+    }),
+    latencyMs: 0,
+    slot: 0,
+    errorRate: 0,
+    lastCheckOk: true,
+    healthy: true,
+    score: 0,
+  }));
+  primary = endpoints[0];
+  maxSlotLag = options.maxSlotLag;
+
+  // 2. Start health checks (only useful with more than one endpoint)
+  if (healthCheckTimer) clearInterval(healthCheckTimer);
+  if (endpoints.length > 1) {
+    runHealthChecks();
+    healthCheckTimer = setInterval(runHealthChecks, options.healthCheckMs);
+  }
+
+  // 3. Build the facade
+  const managed = {};
+  for (const [subscribe, unsubscribe] of Object.entries(MANAGED_SUBSCRIPTIONS)) {
+    managed[subscribe] = wrapSubscribe(subscribe);
+    managed[unsubscribe] = wrapUnsubscribe();
+  }
+
+  return new Proxy({}, {
+    get(_, prop) {
+      if (prop === 'rpcEndpoint') return primary.url;
+      if (managed[prop]) return managed[prop];
+
+      const value = primary.connection[prop];
+      return typeof value === 'function' ? wrapMethod(prop) : value;
+    },
+  });
+}
+
+/**
+ * Sends a signed, serialized transaction to the best healthy endpoints at once.
+ * Resolves with the signature from the first endpoint that accepts it.
+ * @param {Buffer} rawTransaction - The serialized transaction.
+ * @param {number} count - The maximum number of endpoints to send to.
+ * @param {object} [sendOptions] - Options for `sendRawTransaction` (e.g. skipPreflight).
+ * @returns {Promise<string>} The transaction signature.
+ */
+export async function broadcastRawTransaction(rawTransaction, count, sendOptions) {
+  const ranked = getRankedEndpoints();
+  const targets = [primary, ...ranked.filter(e => e !== primary)].slice(0, Math.max(1, count));
+
+  const sends = targets.map(endpoint =>
+    endpoint.connection.sendRawTransaction(rawTransaction, sendOptions).then(
+      (signature) => {
+        recordOutcome(endpoint, false);
+        return signature;
+      },
+      (error) => {
+        recordOutcome(endpoint, true);
+        throw error;
+      }
+    )
+  );
+
+  try {
+    return await Promise.any(sends);
+  } catch (e) {
+    // All endpoints rejected it: surface the primary's error
+    throw e.errors?.[0] || e;
+  }
+}
+
+/**
+ * Re-creates every managed subscription on the current primary endpoint.
+ * Used when subscriptions stop delivering updates without an error.
+ * @returns {Promise<number>} The number of subscriptions re-created.
+ */
+export async function resubscribeAll() {
+  for (const subscription of subscriptions.values()) {
+    await detachSubscription(subscription);
+    attachSubscription(subscription, primary);
+  }
+  return subscriptions.size;
+}
+
+/**
+ * Returns a snapshot of every endpoint's health, for display or logging.
+ * @returns {Array<object>} The endpoint stats.
+ */
+export function getPoolStatus() {
+  return endpoints.map(e => ({
+    url: e.url,
+    primary: e === primary,
+    healthy: e.healthy,
+    latencyMs: Math.round(e.latencyMs),
+    slot: e.slot,
+    errorRate: e.errorRate,
+  }));
+}
@@ -0,0 +1,138 @@
+/**
+ * @file sender.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Deadline-aware transaction sending for deploys.
+ * Signs a transaction once, broadcasts it to the RPC pool and then keeps
+ * rebroadcasting the same signed bytes every `rpc.rebroadcastMs` until
+ * it confirms or its blockhash expires. A deploy is worthless once the
+ * round is over, so resending stops as soon as the slot clock passes the
+ * round's end slot; the sender then waits briefly for a copy already in
+ * flight to land before giving up. A failed status poll is not fatal:
+ * rebroadcasting continues until one of those deadlines. Reports the
+ * slot the transaction landed in, so it can be compared with the end
+ * slot.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { getConfig } from './config.mjs';
+import { broadcastRawTransaction } from './rpcPool.mjs';
+import { estimateSlot, observeSlot } from './clock.mjs';
+import { recordRpcSlotLag } from './timing.mjs';
+
+// --- Constants ---
+const DEADLINE_GRACE_MS = 2_000;     // Keep polling this long after the end slot for a copy in flight
+const BLOCK_HEIGHT_CHECK_EVERY = 10; // Check blockhash expiry every N polls
+const BLOCKHASH_LIFETIME_MS = 120_000; // Give up after this long if the block height cannot be read
+const REBROADCAST_OPTIONS = { skipPreflight: true, maxRetries: 0 };
+
+// --- Private Helper Functions ---
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the error thrown when a transaction is given up on.
+ * The message keeps the `Transaction <signature>` form of web3.js errors.
+ * @param {string} signature - The transaction signature.
+ * @param {string} reason - 'round_ended' or 'expired'.
+ * @param {string} detail - The human-readable cause.
+ * @returns {Error} The error, with `reason` set.
+ */
+function notConfirmedError(signature, reason, detail) {
+  const error = new Error(`Transaction ${signature} not confirmed: ${detail}`);
+  error.reason = reason;
+  return error;
+}
+
+// --- Public Functions ---
+
+/**
+ * Signs and sends a transaction, rebroadcasting it until it confirms, its
+ * blockhash expires, or the round ends.
+ * Transactions that land with an error throw the same message as
+ * `sendAndConfirmTransaction`. Transactions that never land throw an error
+ * with `reason` set to 'round_ended' or 'expired'.
+ * @param {object} params
+ * @param {object} params.connection - The Solana connection object.
+ * @param {Transaction} params.transaction - The unsigned transaction.
+ * @param {Keypair} params.signer - The fee payer and signer.
+ * @param {number|null} [params.endSlot] - The slot after which resending is pointless, or null for none.
+ * @returns {Promise<{ signature: string, slot: number }>} The signature and the slot it landed in.
+ */
+export async function sendWithDeadline({ connection, transaction, signer, endSlot = null }) {
+  const { rebroadcastMs, broadcastCount } = getConfig().rpc;
+
+  // 1. Sign once with a fresh blockhash; every rebroadcast sends the same bytes
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = signer.publicKey;
+  transaction.sign(signer);
+  const rawTransaction = transaction.serialize();
+
+  // 2. First send, with preflight, to the best endpoints in parallel
+  const signature = await broadcastRawTransaction(rawTransaction, broadcastCount);
+  const sentAt = Date.now();
+
+  let deadlineAt = null;
+  let expiryChecked = true;
+  for (let poll = 1; ; poll++) {
+    await sleep(rebroadcastMs);
+
+    // 3. Check whether it landed; a failed poll just counts as not landed yet
+    let status = null;
+    try {
+      const { context, value } = await connection.getSignatureStatuses([signature]);
+      recordRpcSlotLag(context.slot);
+      observeSlot(context.slot);
+      status = value[0];
+    } catch (e) {
+      // Transient RPC error: keep rebroadcasting, the next poll checks again
+    }
+
+    if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+      if (status.err) {
+        throw new Error(`Transaction ${signature} failed (${JSON.stringify({ err: status.err })})`);
+      }
+      return { signature, slot: status.slot };
+    }
+
+    // 4. Past the round's end: stop resending, give a copy in flight a moment to land
+    if (endSlot !== null && estimateSlot() > endSlot) {
+      deadlineAt ??= Date.now();
+      if (Date.now() - deadlineAt >= DEADLINE_GRACE_MS) {
+        throw notConfirmedError(signature, 'round_ended', `round ended at slot ${endSlot}`);
+      }
+      continue;
+    }
+
+    // 5. Blockhash expired: it can no longer land. A failed check is retried
+    // on the next poll, and the blockhash lifetime bounds the wait without one
+    if (poll % BLOCK_HEIGHT_CHECK_EVERY === 0 || !expiryChecked) {
+      try {
+        const blockHeight = await connection.getBlockHeight();
+        expiryChecked = true;
+        if (blockHeight > lastValidBlockHeight) {
+          throw notConfirmedError(signature, 'expired', `blockhash expired at block height ${lastValidBlockHeight}`);
+        }
+      } catch (e) {
+        if (e.reason) throw e;
+        expiryChecked = false;
+        if (Date.now() - sentAt >= BLOCKHASH_LIFETIME_MS) {
+          throw notConfirmedError(signature, 'expired', `block height unavailable (${e.message}) after the blockhash lifetime`);
+        }
+      }
+    }
+
+    // 6. Rebroadcast; a failed resend is not fatal, the next poll tries again
+    broadcastRawTransaction(rawTransaction, broadcastCount, REBROADCAST_OPTIONS).catch(() => {});
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * @file sizing.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Deploy sizing for the automation targets.
+ * Turns the squares picked by a strategy into per-square deploy amounts,
+ * using one of the sizing policies: the flat deploy amount, the optimal
+ * deployment (y*) from `computeEVStarForBlock`, a fixed percentage of
+ * the bankroll (wallet balance plus claimable SOL), or fractional Kelly
+ * from each square's win probability and payout. Non-flat amounts are
+ * scaled down to fit the per-round budget, then clamped to the configured
+ * floor and ceiling (dropping the lowest-EV squares if the floor breaks
+ * the budget), and rounded to a step so that squares share amounts,
+ * since every distinct amount costs its own Deploy instruction. Squares
+ * that the rounding takes back under the floor are skipped.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import {
+  SIZING_MODES,
+  SOL_PER_LAMPORT,
+  P_WIN,
+  PROTOCOL_CUT,
+  ADMIN_COST_FACTOR,
+} from './constants.mjs';
+import { getState } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { getOreValueInSOL } from './ev.mjs';
+
+// --- Constants ---
+const MAX_STEP_DOUBLINGS = 32;
+const BUDGET_TOLERANCE = 1e-9; // Floating point slack when comparing a total with the budget
+
+// --- Private Helper Functions ---
+
+/**
+ * Computes the full-Kelly fraction of the bankroll for one square.
+ * Uses the small-stake approximation (the stake does not dilute the square):
+ * a win pays the square's share of the losing pools and of the ORE reward
+ * per SOL staked, a loss costs the stake, and both pay the admin fee.
+ * @param {object} square - The square analysis ({ sol, ... }).
+ * @param {number} T - Total SOL deployed in the round.
+ * @param {number} oreValueInSOL - The ORE reward value in SOL.
+ * @returns {number} The Kelly fraction (0 when the square has no edge).
+ */
+function computeKellyFraction(square, T, oreValueInSOL) {
+  const O = square.sol;
+  if (!isFinite(O) || O <= 0) return 0;
+
+  // 1. Net gain and loss per SOL staked
+  const win = ((1 - PROTOCOL_CUT) * (T - O) + oreValueInSOL) / O - ADMIN_COST_FACTOR;
+  const loss = 1 + ADMIN_COST_FACTOR;
+  if (win <= 0) return 0;
+
+  // 2. Kelly for uneven payoffs: f* = p / loss - q / win
+  const fraction = P_WIN / loss - (1 - P_WIN) / win;
+  return Math.max(0, fraction);
+}
+
+/**
+ * Computes the raw (unclamped) amount of each square for the non-flat policies.
+ * @param {Array<object>} squares - The squares to size.
+ * @param {object} options - See `sizeTargets`.
+ * @returns {Array<{id: number, amount: number}>} The raw amounts, in SOL.
+ */
+function computeRawAmounts(squares, { bankroll, round, sizing }) {
+  switch (sizing.mode) {
+    case SIZING_MODES.EV_OPTIMAL:
+      return squares.map(s => ({ id: s.id, amount: s.y || 0 }));
+
+    case SIZING_MODES.PERCENT:
+      return squares.map(s => ({ id: s.id, amount: bankroll * sizing.percent }));
+
+    case SIZING_MODES.KELLY: {
+      const T = Number(round.total_deployed.toString()) * SOL_PER_LAMPORT;
+      const oreValueInSOL = getOreValueInSOL(round);
+      return squares.map(s => ({
+        id: s.id,
+        amount: bankroll * sizing.kellyFraction * computeKellyFraction(s, T, oreValueInSOL),
+      }));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Rounds amounts down to a multiple of the step, coarsening the step until
+ * the number of distinct amounts fits in `maxInstructions`.
+ * @param {Array<{id: number, amount: number}>} sized - The raw amounts, in SOL.
+ * @param {number} step - The initial step, in SOL.
+ * @param {number} maxInstructions - The maximum number of distinct amounts.
+ * @returns {Array<{id: number, amount: number}>} The rounded amounts (zero amounts dropped).
+ */
+function quantizeAmounts(sized, step, maxInstructions) {
+  // Work in whole lamports, so float drift (0.0042 SOL -> 4199999.99 lamports) never loses a step
+  let stepLamports = Math.max(1, Math.round(step / SOL_PER_LAMPORT));
+  let quantized = [];
+
+  for (let i = 0; i <= MAX_STEP_DOUBLINGS; i++) {
+    quantized = sized
+      .map(s => ({
+        id: s.id,
+        lamports: Math.floor(Math.round(s.amount / SOL_PER_LAMPORT) / stepLamports) * stepLamports,
+      }))
+      .filter(s => s.lamports > 0);
+
+    const distinct = new Set(quantized.map(s => s.lamports)).size;
+    if (distinct <= maxInstructions) break;
+    stepLamports *= 2;
+  }
+
+  return quantized.map(s => ({ id: s.id, amount: s.lamports * SOL_PER_LAMPORT }));
+}
+
+// --- Public Functions ---
+
+/**
+ * Returns the active sizing settings: the mode from the app state, the rest from the config.
+ * @returns {object} { mode, budget, step, maxInstructions, percent, kellyFraction, minAmount, maxAmount }.
+ */
+export function getSizingSettings() {
+  return { ...getConfig().sizing, mode: getState().sizingMode };
+}
+
+/**
+ * Returns the sizing bankroll: wallet balance plus claimable SOL.
+ * @returns {number} The bankroll, in SOL.
+ */
+export function getBankroll() {
+  const { userBalance, minerRewardsSol } = getState();
+  return (userBalance || 0) + (Number(minerRewardsSol) || 0);
+}
+
+/**
+ * Builds a short label of a sizing policy, for the controls window and logs.
+ * @param {object} sizing - The sizing settings.
+ * @returns {string} e.g. "flat", "percent 1%", "kelly 0.25x".
+ */
+export function formatSizing(sizing) {
+  switch (sizing.mode) {
+    case SIZING_MODES.EV_OPTIMAL:
+      return 'ev-optimal';
+    case SIZING_MODES.PERCENT:
+      return `percent ${+(sizing.percent * 100).toFixed(2)}%`;
+    case SIZING_MODES.KELLY:
+      return `kelly ${sizing.kellyFraction}x`;
+    default:
+      return 'flat';
+  }
+}
+
+/**
+ * Sizes the squares picked by a strategy.
+ * @param {Array<object>} squares - Squares from the board analysis ({ id, sol, y, ... }).
+ * @param {object} options
+ * @param {number} options.deployAmount - The flat deploy amount per square, in SOL.
+ * @param {number} options.bankroll - Wallet balance plus claimable SOL (percent / kelly).
+ * @param {object} options.round - The parsed round data (kelly).
+ * @param {object} options.sizing - The sizing settings.
+ * @returns {Array<{id: number, amount: number}>} The targets with their amounts, in SOL.
+ */
+export function sizeTargets(squares, options) {
+  const { deployAmount, sizing } = options;
+
+  if (!Object.values(SIZING_MODES).includes(sizing.mode) || sizing.mode === SIZING_MODES.FLAT) {
+    return squares.map(s => ({ id: s.id, amount: deployAmount }));
+  }
+
+  // 1. Raw amounts from the policy, skipping squares it would not deploy to
+  const sized = computeRawAmounts(squares, options)
+    .map((s, i) => ({ ...s, ev: Number.isFinite(squares[i].ev) ? squares[i].ev : -Infinity }))
+    .filter(s => s.amount > 0);
+  const sumAmounts = () => sized.reduce((sum, s) => sum + s.amount, 0);
+
+  // 2. Scale everything down proportionally to fit the budget
+  const total = sumAmounts();
+  const scale = total > sizing.budget ? sizing.budget / total : 1;
+  sized.forEach(s => { s.amount *= scale; });
+
+  // 3. Apply the per-square floor and ceiling to the scaled amounts
+  sized.forEach(s => {
+    s.amount = Math.max(s.amount, sizing.minAmount);
+    if (sizing.maxAmount !== null) s.amount = Math.min(s.amount, sizing.maxAmount);
+  });
+
+  // 4. If the floor pushed the total over the budget, drop the lowest-EV targets
+  while (sized.length > 0 && sumAmounts() > sizing.budget * (1 + BUDGET_TOLERANCE)) {
+    let worst = 0;
+    sized.forEach((s, i) => { if (s.ev <= sized[worst].ev) worst = i; });
+    sized.splice(worst, 1);
+  }
+
+  // 5. Round so the squares fit in a few Deploy instructions. Rounding down
+  // can take a floored amount under the floor again: those squares are dropped
+  const floorLamports = Math.round(sizing.minAmount / SOL_PER_LAMPORT);
+  return quantizeAmounts(sized, sizing.step, sizing.maxInstructions)
+    .filter(s => Math.round(s.amount / SOL_PER_LAMPORT) >= floorLamports);
+}
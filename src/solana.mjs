@@ -3,7 +3,7 @@
  * @author Tamwood Technology @tamwoodtech
  * @org Radiants @RadiantsDAO
  * @description Utility module for all Solana web3.js interactions.
- * This file initializes the connection, defines all account layouts
+ * This file initializes the connection (via the RPC pool), defines all account layouts
  * (Board, Round, Miner) using `@solana/buffer-layout` for parsing
  * on-chain data, and provides functions for calculating all
  * necessary PDAs (Program Derived Addresses).
@@ -12,20 +12,23 @@
  */
 
 // --- Imports ---
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import pkg_layout from '@solana/buffer-layout';
 const { struct, blob, seq } = pkg_layout;
 import { u64, publicKey } from '@solana/buffer-layout-utils';
 import {
   ORE_PROGRAM_ID,
-  RPC_URL,
   BOARD_SEED,
   ROUND_SEED,
   MINER_SEED,
   AUTOMATION_SEED,
   TREASURY_SEED,
   ACCOUNT_DISCRIMINATOR_SIZE,
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
 } from './constants.mjs';
+import { getConfig } from './config.mjs';
+import { initRpcPool } from './rpcPool.mjs';
 
 // --- Module-level Variables ---
 let connection;
@@ -34,10 +37,19 @@ let connection;
 
 /**
  * Initializes and returns the Solana connection object.
+ * The returned object is a facade over the RPC pool (`rpc.url` first,
+ * then `rpc.endpoints`), so it follows failovers transparently.
  * @returns {Connection} The Solana Connection object.
  */
 export function initConnection() {
-  connection = new Connection(RPC_URL, 'confirmed');
+  const { url, endpoints, commitment, healthCheckMs, maxSlotLag } = getConfig().rpc;
+
+  // Primary URL first (keeping its ws URL if it is also listed), without duplicates
+  const primary = endpoints.find(e => e.http === url) || { http: url, ws: null };
+  const pool = [primary, ...endpoints]
+    .filter((endpoint, i, all) => all.findIndex(e => e.http === endpoint.http) === i);
+
+  connection = initRpcPool({ endpoints: pool, commitment, healthCheckMs, maxSlotLag });
   return connection;
 }
 
@@ -155,6 +167,20 @@ export function getTreasuryPda() {
   return pda;
 }
 
+/**
+ * Gets the associated token account of a wallet for a mint.
+ * @param {PublicKey} owner - The wallet public key.
+ * @param {PublicKey} mint - The token mint.
+ * @returns {PublicKey} The associated token account address.
+ */
+export function getAssociatedTokenAddress(owner, mint) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return pda;
+}
+
 // --- Account Parsers ---
 
 /**
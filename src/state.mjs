@@ -13,7 +13,7 @@
 
 // --- Imports ---
 import BN from 'bn.js';
-import { APP_MODES } from './constants.mjs';
+import { APP_MODES, SIZING_MODES } from './constants.mjs';
 
 // --- Global State Object ---
 
@@ -28,17 +28,21 @@ const appState = {
   lowBalanceMode: false,
   isAudioEnabled: false,
   customDeployAmount: 0.0001,
+  sizingMode: SIZING_MODES.FLAT,
 
   // --- Wallet & User Data ---
   userBalance: 0,
   minerRewardsSol: '0',
   minerRewardsOre: '0',
   minerRefinedOre: '0',
+  minerAccount: null, // The last fetched Miner account (parsed), for the miner panel
+  minerUpdatedAt: null, // When it was fetched (epoch ms)
 
   // --- Real-time Price Data ---
   PRICE_ORE_USD: 0,
   PRICE_SOL_USD: 0,
   priceOreSol: 0,
+  priceUpdatedAt: null, // When the oracle last produced a good price (epoch ms)
 
   // --- On-Chain Game State ---
   currentRoundId: new BN(-1),
@@ -53,6 +57,9 @@ const appState = {
   winnerAnnounced: false,
   lastWinner: '--',
   roundSubscriptionId: null,
+  guardrailTrip: null, // Why the guardrails last stopped the automation
+  dataStale: false, // No Board or Round websocket update within rpc.staleAfterMs
+  automationBlock: null, // Why the automation refused to act this round (stale data, unsafe price)
 };
 
 // --- Core State Functions ---
@@ -110,6 +117,17 @@ export function toggleAudio() {
   return appState.isAudioEnabled;
 }
 
+/**
+ * Switches to the next sizing mode (flat -> ev-optimal -> percent -> kelly -> flat).
+ * @returns {string} The new sizing mode.
+ */
+export function cycleSizingMode() {
+  const modes = Object.values(SIZING_MODES);
+  const index = modes.indexOf(appState.sizingMode);
+  appState.sizingMode = modes[(index + 1) % modes.length];
+  return appState.sizingMode;
+}
+
 /**
  * Sets the custom deploy amount from a string input.
  * @param {string} amountStr - The amount as a string from the input.
@@ -0,0 +1,274 @@
+/**
+ * @file strategies.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Strategy registry for the automation.
+ * A strategy receives the board analysis, the round data, the wallet
+ * state and the recent round history, and returns the squares to deploy
+ * to with a per-square amount. The built-in APP_MODES are registered as
+ * strategies under their mode names, and custom strategies are loaded
+ * from the `strategies/` directory. Used by the live automation and the
+ * backtester.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { APP_MODES } from './constants.mjs';
+import { getState, setAppState } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { sizeTargets } from './sizing.mjs';
+
+// --- Constants ---
+const NUM_SQUARES = 25;
+const STRATEGY_FILE_PATTERN = /\.(mjs|js)$/;
+
+/**
+ * Number of best-EV squares each built-in mode deploys to.
+ */
+const BUILT_IN_TARGET_COUNTS = {
+  [APP_MODES.ONE_X_EV]: 1,
+  [APP_MODES.THREE_X_EV]: 3,
+  [APP_MODES.FIVE_X_EV]: 5,
+  [APP_MODES.THIRTEEN_X_EV]: 13,
+  [APP_MODES.TWENTY_FIVE_X_EV]: 25,
+};
+
+// --- Module-level Variables ---
+const strategies = new Map(); // name -> strategy
+const customStrategyNames = [];
+
+// --- Private Helper Functions ---
+
+/**
+ * Creates a built-in strategy that deploys to the N best EV squares,
+ * sized by the active sizing mode.
+ * @param {string} name - The APP_MODES value.
+ * @param {number} count - The number of squares.
+ * @returns {object} The strategy.
+ */
+function createTopEVStrategy(name, count) {
+  return {
+    name,
+    description: `deploys to the ${count} best EV square(s)`,
+    builtIn: true,
+    selectTargets(context) {
+      return context.sizeTargets(context.analysis.byEV.slice(0, count));
+    },
+  };
+}
+
+/**
+ * Checks the shape of a module's default export.
+ * @param {*} strategy - The exported value.
+ * @returns {string|null} An error message, or null if the strategy is valid.
+ */
+function validateStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object') {
+    return 'must default-export a strategy object';
+  }
+  if (typeof strategy.name !== 'string' || strategy.name.trim() === '') {
+    return 'must have a non-empty "name"';
+  }
+  if (typeof strategy.selectTargets !== 'function') {
+    return 'must have a "selectTargets(context)" function';
+  }
+  if (strategies.has(strategy.name) || Object.values(APP_MODES).includes(strategy.name)) {
+    return `name "${strategy.name}" is already taken`;
+  }
+  return null;
+}
+
+/**
+ * Validates the targets returned by a strategy and attaches the square analysis.
+ * Invalid or duplicate entries are dropped and logged.
+ * @param {string} name - The strategy name (for log messages).
+ * @param {*} targets - The value returned by `selectTargets`.
+ * @param {object} analysis - The board analysis.
+ * @returns {Array<object>} The targets ({ id, amount, sol, ev, ... }).
+ */
+function normalizeTargets(name, targets, analysis) {
+  if (!Array.isArray(targets)) {
+    log(`strategy ${name}: selectTargets must return an array, got ${typeof targets}`);
+    return [];
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const target of targets) {
+    const id = target?.id;
+    const amount = target?.amount;
+
+    if (!Number.isInteger(id) || id < 1 || id > NUM_SQUARES) {
+      log(`strategy ${name}: ignoring target with invalid square id ${JSON.stringify(id)}`);
+      continue;
+    }
+    if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+      log(`strategy ${name}: ignoring #${id}, invalid amount ${JSON.stringify(amount)}`);
+      continue;
+    }
+    if (seen.has(id)) {
+      log(`strategy ${name}: ignoring duplicate target #${id}`);
+      continue;
+    }
+
+    seen.add(id);
+    const square = analysis.fullAnalysis.find(s => s.id === id) || { id, ev: -Infinity };
+    normalized.push({ ...square, amount });
+  }
+  return normalized;
+}
+
+// --- Public Functions ---
+
+/**
+ * Registers the built-in strategies (one per APP_MODES automation mode).
+ * Safe to call more than once.
+ */
+export function registerBuiltInStrategies() {
+  for (const [mode, count] of Object.entries(BUILT_IN_TARGET_COUNTS)) {
+    if (!strategies.has(mode)) {
+      strategies.set(mode, createTopEVStrategy(mode, count));
+    }
+  }
+}
+
+/**
+ * Loads the custom strategies from the configured directory.
+ * Each `.mjs`/`.js` file must default-export `{ name, description?, selectTargets(context) }`.
+ * Files that fail to load are logged and skipped.
+ * @param {string} [dir] - The directory (defaults to `strategies.dir`).
+ * @returns {Promise<Array<string>>} The names of the loaded custom strategies.
+ */
+export async function loadStrategies(dir = getConfig().strategies.dir) {
+  registerBuiltInStrategies();
+
+  const strategiesDir = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(strategiesDir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(strategiesDir)
+    .filter(file => STRATEGY_FILE_PATTERN.test(file))
+    .sort();
+
+  const loaded = [];
+  for (const file of files) {
+    try {
+      const imported = await import(pathToFileURL(path.join(strategiesDir, file)).href);
+      const strategy = imported.default;
+      const error = validateStrategy(strategy);
+      if (error) {
+        log(`strategy ${file} skipped: ${error}`);
+        continue;
+      }
+
+      strategies.set(strategy.name, strategy);
+      customStrategyNames.push(strategy.name);
+      loaded.push(strategy.name);
+    } catch (e) {
+      log(`strategy ${file} failed to load: ${e.message}`);
+    }
+  }
+
+  if (loaded.length > 0) {
+    log(`loaded ${loaded.length} strateg${loaded.length === 1 ? 'y' : 'ies'} from ${dir}: ${loaded.join(', ')}`);
+  }
+  return loaded;
+}
+
+/**
+ * Checks whether a strategy is registered under a name.
+ * @param {string} name - The strategy (or built-in mode) name.
+ * @returns {boolean} True if it exists.
+ */
+export function hasStrategy(name) {
+  return strategies.has(name);
+}
+
+/**
+ * Returns how many squares a built-in mode deploys to.
+ * @param {string} name - The strategy (or built-in mode) name.
+ * @returns {number|null} The target count, or null for custom strategies (and idle).
+ */
+export function getBuiltInTargetCount(name) {
+  return BUILT_IN_TARGET_COUNTS[name] ?? null;
+}
+
+/**
+ * Returns the names of the loaded custom strategies, in load order.
+ * @returns {Array<string>} The names.
+ */
+export function getCustomStrategyNames() {
+  return [...customStrategyNames];
+}
+
+/**
+ * Makes a strategy the active automation mode.
+ * @param {string} name - The strategy name.
+ * @returns {boolean} True if the strategy exists and was selected.
+ */
+export function selectStrategy(name) {
+  if (!strategies.has(name)) {
+    return false;
+  }
+  setAppState({ appMode: name });
+  return true;
+}
+
+/**
+ * Selects the custom strategy after the active one (wrapping around).
+ * @returns {string|null} The selected strategy name, or null if none are loaded.
+ */
+export function cycleCustomStrategy() {
+  if (customStrategyNames.length === 0) {
+    return null;
+  }
+  const index = customStrategyNames.indexOf(getState().appMode);
+  const next = customStrategyNames[(index + 1) % customStrategyNames.length];
+  selectStrategy(next);
+  return next;
+}
+
+/**
+ * Runs a strategy and returns its validated targets.
+ * Strategy errors are logged and result in no targets.
+ * @param {string} name - The strategy name.
+ * @param {object} context - The strategy context.
+ * @param {object} context.analysis - The result of `analyzeBoardState`.
+ * @param {object} context.round - The parsed round data.
+ * @param {object} context.wallet - { publicKey, balance, bankroll, deployAmount, isSpeculating }.
+ * @param {Array<object>} context.history - Recent finalized rounds, oldest first.
+ * @param {object} context.prices - { oreSol, oreUsd, solUsd }.
+ * @param {object} context.sizing - The sizing settings ({ mode, budget, step, maxInstructions }).
+ * @returns {Promise<Array<object>>} The targets ({ id, amount, sol, ev, ... }).
+ */
+export async function runStrategy(name, context) {
+  registerBuiltInStrategies();
+
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    return [];
+  }
+
+  try {
+    // Strategies size squares with the active sizing mode through `sizeTargets`
+    const targets = await strategy.selectTargets({
+      ...context,
+      sizeTargets: squares => sizeTargets(squares, {
+        deployAmount: context.wallet.deployAmount,
+        bankroll: context.wallet.bankroll,
+        round: context.round,
+        sizing: context.sizing,
+      }),
+    });
+    return normalizeTargets(name, targets, context.analysis);
+  } catch (e) {
+    log(`strategy ${name} failed: ${e.message}`);
+    return [];
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * @file swarm.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Multi-wallet swarm mining.
+ * Loads a directory of keypairs (plaintext or encrypted with the same
+ * passphrase as `id.json`) next to the main wallet. Every swarm wallet
+ * plays the shared board from the main subscription with its own mode
+ * or strategy, deploy amount and allowed squares, and keeps its own
+ * Miner PDA stats, claim schedule and ledger file. Also builds the
+ * swarm summary shown in the TUI panel and the headless log.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import fs from 'fs';
+import path from 'path';
+import { getState } from './state.mjs';
+import { getConfig } from './config.mjs';
+import { log, truncateAddress } from './utils.mjs';
+import { colors } from './theme.mjs';
+import { APP_MODES, SOL_PER_LAMPORT } from './constants.mjs';
+import { getMinerPda, parseMiner } from './solana.mjs';
+import { getSigner, getUnlockPassphrase } from './wallet.mjs';
+import { startAutoClaim } from './claimPolicy.mjs';
+import { hasStrategy } from './strategies.mjs';
+import { isEncryptedKeystore, decryptKeystore } from './keystore.mjs';
+
+// --- Constants ---
+const WALLET_FILE_PATTERN = /\.json$/;
+const ORE_DIVISOR = 100_000_000_000; // ORE uses 11 decimals
+
+// --- Module-level Variables ---
+const swarmWallets = [];
+
+// --- Private Helper Functions ---
+
+/**
+ * Finds the config entry for a wallet, by file name (without `.json`) or public key.
+ * @param {string} name - The wallet name.
+ * @param {string} publicKey - The base58 public key.
+ * @returns {object|null} The `swarm.wallets` entry, or null.
+ */
+function findWalletSettings(name, publicKey) {
+  return getConfig().swarm.wallets.find(w => w.name === name || w.name === publicKey) || null;
+}
+
+/**
+ * Refreshes the balance and Miner PDA stats of every swarm wallet in two RPC calls.
+ * @param {Connection} connection - The Solana connection object.
+ */
+async function fetchSwarmAccounts(connection) {
+  const walletInfos = await connection.getMultipleAccountsInfo(swarmWallets.map(w => w.keypair.publicKey));
+  const minerInfos = await connection.getMultipleAccountsInfo(swarmWallets.map(w => getMinerPda(w.keypair.publicKey)));
+
+  swarmWallets.forEach((wallet, i) => {
+    wallet.balance = (walletInfos[i]?.lamports || 0) / LAMPORTS_PER_SOL;
+
+    if (minerInfos[i]) {
+      const minerData = parseMiner(minerInfos[i].data);
+      wallet.rewardsSol = Number(minerData.rewards_sol) * SOL_PER_LAMPORT;
+      wallet.rewardsOre = Number(minerData.rewards_ore) / ORE_DIVISOR;
+      wallet.refinedOre = Number(minerData.refined_ore) / ORE_DIVISOR;
+      wallet.minerAccount = minerData;
+    }
+  });
+}
+
+// --- Public Functions ---
+
+/**
+ * Unlocks the swarm wallets from `swarm.dir`. Must run before the TUI starts,
+ * since encrypted wallets may prompt for the passphrase (asked once for all).
+ * Wallets that fail to unlock, or duplicate the main wallet, are skipped.
+ * @param {object} [passphraseOptions] - { passphraseFd, passphraseFile } from the command line.
+ * @returns {Promise<number>} The number of swarm wallets loaded.
+ */
+export async function initSwarm(passphraseOptions = {}) {
+  const { enabled, dir } = getConfig().swarm;
+  if (!enabled) return 0;
+
+  // 1. List the keypair files
+  const swarmDir = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(swarmDir)) {
+    log(`swarm enabled, but ${swarmDir} does not exist`);
+    return 0;
+  }
+
+  const files = fs.readdirSync(swarmDir)
+    .filter(file => WALLET_FILE_PATTERN.test(file))
+    .sort();
+
+  // 2. Unlock each wallet with the same passphrase as the main wallet
+  const mainKey = getSigner()?.publicKey.toBase58();
+  const seen = new Set(mainKey ? [mainKey] : []);
+
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(swarmDir, file), 'utf-8'));
+      let keypair;
+
+      if (isEncryptedKeystore(parsed)) {
+        const passphrase = await getUnlockPassphrase(passphraseOptions);
+        keypair = Keypair.fromSecretKey(await decryptKeystore(parsed, passphrase));
+      } else {
+        keypair = Keypair.fromSecretKey(Uint8Array.from(parsed));
+      }
+
+      const publicKey = keypair.publicKey.toBase58();
+      if (seen.has(publicKey)) {
+        log(`swarm wallet ${file} skipped: ${truncateAddress(publicKey)} is already loaded`);
+        continue;
+      }
+      seen.add(publicKey);
+
+      const settings = findWalletSettings(name, publicKey);
+      swarmWallets.push({
+        name,
+        keypair,
+        publicKey,
+        mode: settings?.mode ?? null,
+        amount: settings?.amount ?? null,
+        squares: settings?.squares ?? null,
+        balance: 0,
+        rewardsSol: 0,
+        rewardsOre: 0,
+        refinedOre: 0,
+        minerAccount: null,
+      });
+    } catch (e) {
+      log(`swarm wallet ${file} skipped: ${e.message}`);
+    }
+  }
+
+  if (swarmWallets.length > 0) {
+    log(`swarm: loaded ${swarmWallets.length} wallet(s) from ${dir}: ${swarmWallets.map(w => w.name).join(', ')}`);
+  }
+  return swarmWallets.length;
+}
+
+/**
+ * Returns the loaded swarm wallets (not including the main wallet).
+ * @returns {Array<object>} The swarm wallets.
+ */
+export function getSwarmWallets() {
+  return swarmWallets;
+}
+
+/**
+ * Returns the mode or strategy a swarm wallet plays: its own, or the main one.
+ * @param {object} wallet - The swarm wallet.
+ * @returns {string} The mode or strategy name.
+ */
+export function getWalletMode(wallet) {
+  return wallet.mode || getState().appMode;
+}
+
+/**
+ * Returns the flat deploy amount of a swarm wallet: its own, or the main one.
+ * @param {object} wallet - The swarm wallet.
+ * @returns {number} The amount per square, in SOL.
+ */
+export function getWalletDeployAmount(wallet) {
+  return wallet.amount ?? getState().customDeployAmount;
+}
+
+/**
+ * Logs the swarm wallets whose configured mode is not a loaded strategy.
+ * Call after `loadStrategies`; those wallets deploy nothing until it exists.
+ */
+export function checkSwarmStrategies() {
+  for (const wallet of swarmWallets) {
+    if (wallet.mode && wallet.mode !== APP_MODES.IDLE && !hasStrategy(wallet.mode)) {
+      log(`swarm ${wallet.name}: unknown mode or strategy "${wallet.mode}", it will not deploy`);
+    }
+  }
+}
+
+/**
+ * Refreshes the balances and miner stats of the swarm wallets.
+ * @param {Connection} connection - The Solana connection object.
+ */
+export async function updateSwarmStats(connection) {
+  if (swarmWallets.length === 0) return;
+
+  try {
+    await fetchSwarmAccounts(connection);
+  } catch (e) {
+    log(`error updating swarm stats: ${e.message}`);
+  }
+}
+
+/**
+ * Starts the automatic claims of every swarm wallet under `claim.policy`,
+ * offset from each other so the claims do not all land at once.
+ * @param {Connection} connection - The Solana connection object.
+ */
+export function startSwarmClaims(connection) {
+  const { intervalMs } = getConfig().claim;
+
+  swarmWallets.forEach((wallet, i) => {
+    startAutoClaim({
+      label: `swarm ${wallet.name}: auto-claim`,
+      connection,
+      signer: wallet.keypair,
+      getRewards: () => ({ sol: wallet.rewardsSol, ore: wallet.rewardsOre + wallet.refinedOre }),
+      onClaimed: () => updateSwarmStats(connection),
+      offsetMs: Math.round((intervalMs * (i + 1)) / (swarmWallets.length + 1)),
+    });
+  });
+}
+
+/**
+ * Builds the swarm summary: one row per wallet (main wallet first) and an aggregate row.
+ * @returns {Array<string>} The summary lines, with blessed color tags.
+ */
+export function formatSwarmSummary() {
+  const { userBalance, minerRewardsSol, minerRewardsOre, minerRefinedOre, appMode, customDeployAmount } = getState();
+  const signer = getSigner();
+
+  // 1. Collect the rows, main wallet first
+  const rows = [{
+    name: 'main',
+    publicKey: signer ? signer.publicKey.toBase58() : '',
+    mode: appMode,
+    amount: customDeployAmount,
+    balance: userBalance || 0,
+    rewardsSol: Number(minerRewardsSol) || 0,
+    rewardsOre: Number(minerRewardsOre) || 0,
+    refinedOre: Number(minerRefinedOre) || 0,
+  }];
+  for (const wallet of swarmWallets) {
+    rows.push({ ...wallet, mode: getWalletMode(wallet), amount: getWalletDeployAmount(wallet) });
+  }
+
+  // 2. Format the table
+  const formatRow = (name, address, mode, balance, rewardsSol, rewardsOre, refinedOre) =>
+    ` ${name.padEnd(10)} ${address.padEnd(11)} ${mode.padEnd(14)} ${balance.padStart(9)} ${rewardsSol.padStart(9)} ${rewardsOre.padStart(9)} ${refinedOre.padStart(9)}`;
+
+  const lines = [
+    `{${colors.YELLOW}-fg}${formatRow('wallet', 'address', 'mode', 'balance', 'claim sol', 'ore', 'refined')}{/${colors.YELLOW}-fg}`,
+  ];
+  for (const row of rows) {
+    const mode = row.mode === APP_MODES.IDLE ? row.mode : `${row.mode} @${+row.amount.toFixed(6)}`;
+    lines.push(formatRow(
+      row.name.slice(0, 10),
+      row.publicKey ? truncateAddress(row.publicKey) : '--',
+      mode.slice(0, 14),
+      row.balance.toFixed(4),
+      row.rewardsSol.toFixed(4),
+      row.rewardsOre.toFixed(4),
+      row.refinedOre.toFixed(4),
+    ));
+  }
+
+  // 3. Aggregate row
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+  lines.push(`{${colors.GREEN}-fg}${formatRow(
+    'total',
+    `${rows.length} wallets`,
+    '',
+    sum('balance').toFixed(4),
+    sum('rewardsSol').toFixed(4),
+    sum('rewardsOre').toFixed(4),
+    sum('refinedOre').toFixed(4),
+  )}{/${colors.GREEN}-fg}`);
+
+  return lines;
+}
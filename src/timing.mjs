@@ -0,0 +1,129 @@
+/**
+ * @file timing.mjs
+ * @author Tamwood Technology @tamwoodtech
+ * @org Radiants @RadiantsDAO
+ * @description Latency-adaptive automation trigger timing.
+ * Records how long recent deploys took from the start of sending to
+ * confirmation (deploys that missed the round count with the time they
+ * were given). With `automation.adaptiveTrigger` on, the trigger point is
+ * the latest one that still leaves room for a slow deploy: a high
+ * percentile of that latency, plus the primary RPC's slot lag (behind the
+ * other endpoints or the slot clock), a margin, and one countdown tick,
+ * kept within the user's bounds. Deciding later means seeing more of the
+ * board before committing.
+ * @project lodestar-cli
+ * @license MIT
+ */
+
+// --- Imports ---
+import { getConfig } from './config.mjs';
+import { log } from './utils.mjs';
+import { getPoolStatus } from './rpcPool.mjs';
+import { getMsPerSlot, estimateSlot } from './clock.mjs';
+
+// --- Constants ---
+const SAMPLE_WINDOW = 20;           // Recent deploys considered
+const MIN_SAMPLES = 3;              // Below this, the configured triggerSeconds is used
+const LATENCY_PERCENTILE = 90;
+const SLOT_LAG_WINDOW = 50;         // Recent status poll slot lags considered
+const COUNTDOWN_TICK_SECONDS = 1;   // The trigger is checked once per countdown tick
+
+// --- Module-level Variables ---
+const samples = []; // { latencyMs, landed }, oldest first
+const rpcSlotLags = []; // Slots the primary's responses trailed the slot clock, oldest first
+let lastLoggedTrigger = null;
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns a percentile of a list of values (nearest rank).
+ * @param {Array<number>} values - The values (not empty).
+ * @param {number} percentile - The percentile, 0-100.
+ * @returns {number} The value at that percentile.
+ */
+function getPercentile(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Returns how many slots the primary RPC endpoint trails the chain: behind
+ * the freshest other endpoint, or behind the slot clock in recent status
+ * polls, whichever is larger. The latter also works with a single endpoint.
+ * @returns {number} The slot lag.
+ */
+function getPrimarySlotLag() {
+  const status = getPoolStatus();
+  const primary = status.find(e => e.primary);
+  const poolLag = primary && status.length > 1
+    ? Math.max(0, Math.max(...status.map(e => e.slot)) - primary.slot)
+    : 0;
+  const clockLag = rpcSlotLags.length > 0 ? getPercentile(rpcSlotLags, LATENCY_PERCENTILE) : 0;
+  return Math.max(poolLag, clockLag);
+}
+
+// --- Public Functions ---
+
+/**
+ * Records the timing of a deploy.
+ * @param {number} latencyMs - Time from the start of sending to confirmation, or to giving up.
+ * @param {boolean} landed - Whether the deploy landed in time.
+ */
+export function recordDeployTiming(latencyMs, landed) {
+  samples.push({ latencyMs, landed });
+  if (samples.length > SAMPLE_WINDOW) {
+    samples.shift();
+  }
+}
+
+/**
+ * Records how far the slot of an RPC response context trails the slot
+ * clock. Call it before the slot is fed to `observeSlot`.
+ * @param {number} contextSlot - The `context.slot` of the primary's response.
+ */
+export function recordRpcSlotLag(contextSlot) {
+  const clockSlot = estimateSlot();
+  if (clockSlot === 0) return;
+
+  rpcSlotLags.push(Math.max(0, clockSlot - contextSlot));
+  if (rpcSlotLags.length > SLOT_LAG_WINDOW) {
+    rpcSlotLags.shift();
+  }
+}
+
+/**
+ * Returns the number of seconds before the round's end at which automation fires.
+ * Logs the adaptive trigger whenever it moves.
+ * @returns {number} The trigger point, in seconds.
+ */
+export function getTriggerSeconds() {
+  const {
+    triggerSeconds,
+    adaptiveTrigger,
+    minTriggerSeconds,
+    maxTriggerSeconds,
+    triggerMarginSeconds,
+  } = getConfig().automation;
+  const clamp = seconds => Math.min(maxTriggerSeconds, Math.max(minTriggerSeconds, seconds));
+
+  if (!adaptiveTrigger) return triggerSeconds;
+  if (samples.length < MIN_SAMPLES) return clamp(triggerSeconds);
+
+  // 1. Time a slow deploy needs, and how far behind the RPC sees the chain
+  const latencyMs = getPercentile(samples.map(s => s.latencyMs), LATENCY_PERCENTILE);
+  const slotLag = getPrimarySlotLag();
+
+  // 2. Latest trigger that still leaves that much time after the countdown tick it fires on
+  const seconds = clamp(
+    (latencyMs + slotLag * getMsPerSlot()) / 1000 + triggerMarginSeconds + COUNTDOWN_TICK_SECONDS
+  );
+  const rounded = Math.round(seconds * 10) / 10;
+
+  if (rounded !== lastLoggedTrigger) {
+    const landed = samples.filter(s => s.landed).length;
+    log(`adaptive trigger: ${rounded.toFixed(1)}s (p${LATENCY_PERCENTILE} latency ${Math.round(latencyMs)}ms, slot lag ${slotLag}, ${landed}/${samples.length} recent deploys landed)`);
+    lastLoggedTrigger = rounded;
+  }
+  return rounded;
+}
@@ -6,7 +6,8 @@
  * This module builds the `sendDeployTx` and other instructions,
  * complete with the necessary accounts and data buffers (like the bitmask
  * for deployments), signs them with the user's wallet, and sends them
- * to the network.
+ * to the network. Deploys are broadcast to several RPC pool endpoints,
+ * and every transaction is recorded in the ledger.
  * @project lodestar-cli
  * @license MIT
  */
@@ -31,6 +32,9 @@ import {
   SYSTEM_PROGRAM_ID,
   ENTROPY_PROGRAM_ID,
   ORE_VAR_ADDRESS,
+  ORE_MINT,
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
 } from './constants.mjs';
 import {
   getBoardPda,
@@ -38,12 +42,41 @@ import {
   getMinerPda,
   getAutomationPda,
   getTreasuryPda,
+  getAssociatedTokenAddress,
   parseMiner,
   parseRound,
 } from './solana.mjs';
+import { getConfig } from './config.mjs';
+import { sendWithDeadline } from './sender.mjs';
+import { decodeTransactionError, TX_ERRORS } from './errors.mjs';
+import { recordDeployTiming } from './timing.mjs';
+import { recordTransaction } from './ledger.mjs';
+import { getSigner } from './wallet.mjs';
+import { getPriorityFee, formatTransactionFee } from './fees.mjs';
+import { getDeployShape, getComputeUnitLimit, measureComputeUnits } from './computeUnits.mjs';
+import { getBuiltInTargetCount } from './strategies.mjs';
+
+// --- Constants ---
+const ORE_DECIMALS = 11;
+const ORE_DIVISOR = 10 ** ORE_DECIMALS;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64; // SPL token account: mint (32), owner (32), amount (u64)
+
+// --- Module-level Variables ---
+let deploysInFlight = 0; // Deploys between their first RPC call and their outcome
+let claimsInFlight = 0;  // SOL and ORE claims between their first RPC call and their outcome
 
 // --- Private Helper Functions ---
 
+/**
+ * Checks whether a signer is the main wallet (swarm wallets keep their own balance).
+ * @param {Keypair} signer - The signing keypair.
+ * @returns {boolean} True for the main wallet, or when no main wallet is loaded.
+ */
+function isMainSigner(signer) {
+  const main = getSigner();
+  return !main || main.publicKey.equals(signer.publicKey);
+}
+
 /**
  * Creates the 32-bit bitmask for the target squares.
  * ORE v3 uses a u32 bitmask (1 << 0...24) to represent the 25 squares.
@@ -61,37 +94,246 @@ function createSquaresMask(targets) {
   return mask;
 }
 
+/**
+ * Groups targets by their deploy amount.
+ * A Deploy instruction carries a single amount for all squares in its mask,
+ * so each distinct amount needs its own instruction.
+ * @param {Array<object>} targets - Array of target objects { id: number, amount: number (SOL) }
+ * @returns {Array<{ amountLamports: bigint, targets: Array<object> }>} One group per amount.
+ */
+function groupTargetsByAmount(targets) {
+  const groups = new Map(); // lamports (string) -> group
+  for (const target of targets) {
+    const amountLamports = BigInt(Math.floor(target.amount / SOL_PER_LAMPORT));
+    const key = amountLamports.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { amountLamports, targets: [] });
+    }
+    groups.get(key).targets.push(target);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Reads the miner's last played and checkpointed rounds.
+ * @param {object} connection - The Solana connection object.
+ * @param {PublicKey} authority - The miner's wallet.
+ * @returns {Promise<{roundId: BN, checkpointId: BN, squareCount: number}>} The round ids (both 0
+ * if the miner does not exist yet), and how many squares the miner deployed to in its last round
+ * (0 without a miner), which the compute unit prewarm uses for custom strategies.
+ */
+async function fetchMinerState(connection, authority) {
+  const minerAccountInfo = await connection.getAccountInfo(getMinerPda(authority));
+
+  if (!minerAccountInfo) {
+    return { roundId: new BN(0), checkpointId: new BN(0), squareCount: 0 };
+  }
+  const minerData = parseMiner(minerAccountInfo.data);
+  return {
+    roundId: new BN(minerData.round_id.toString()),
+    checkpointId: new BN(minerData.checkpoint_id.toString()),
+    squareCount: minerData.deployed.filter(lamports => lamports > 0n).length,
+  };
+}
+
+/**
+ * Builds the ORE instructions of a deploy: a Checkpoint (2) when the miner
+ * has an unsettled round, then one Deploy (6) per amount group.
+ * @param {PublicKey} authority - The deploying wallet (signer and authority).
+ * @param {BN} currentRoundId - The round to deploy to.
+ * @param {object} minerState - The result of `fetchMinerState`.
+ * @param {Array<object>} groups - The result of `groupTargetsByAmount`.
+ * @returns {{ instructions: Array<TransactionInstruction>, hasCheckpoint: boolean }}
+ */
+function buildDeployInstructions(authority, currentRoundId, minerState, groups) {
+  const instructions = [];
+
+  // 1. Checkpoint Logic (Instruction 2)
+  const isStateDirty = !minerState.roundId.eq(minerState.checkpointId);
+  const canCheckpoint = minerState.roundId.lt(currentRoundId);
+  const hasCheckpoint = isStateDirty && canCheckpoint;
+
+  if (hasCheckpoint) {
+    const checkpointAccounts = [
+      { pubkey: authority, isSigner: true, isWritable: true },
+      { pubkey: getBoardPda(), isSigner: false, isWritable: false },
+      { pubkey: getMinerPda(authority), isSigner: false, isWritable: true },
+      { pubkey: getRoundPda(minerState.roundId), isSigner: false, isWritable: true },
+      { pubkey: getTreasuryPda(), isSigner: false, isWritable: true },
+      { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+    ];
+
+    const checkpointData = Buffer.alloc(1);
+    checkpointData.writeUInt8(2, 0); // Instruction 2
+
+    instructions.push(new TransactionInstruction({
+      keys: checkpointAccounts,
+      programId: ORE_PROGRAM_ID,
+      data: checkpointData,
+    }));
+  } else if (isStateDirty && !canCheckpoint) {
+    // Edge case: User trying to deploy twice in same round, or state is weird.
+    log(`warning: state dirty but round ${minerState.roundId.toString()} is current. skipping checkpoint.`);
+  }
+
+  // 2. One Deploy Instruction (6) per distinct amount
+  const deployAccounts = [
+    { pubkey: authority, isSigner: true, isWritable: true },
+    { pubkey: authority, isSigner: false, isWritable: true },
+    { pubkey: getAutomationPda(authority), isSigner: false, isWritable: true },
+    { pubkey: getBoardPda(), isSigner: false, isWritable: true },
+    { pubkey: getMinerPda(authority), isSigner: false, isWritable: true },
+    { pubkey: getRoundPda(currentRoundId), isSigner: false, isWritable: true },
+    { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: ORE_VAR_ADDRESS, isSigner: false, isWritable: true },
+    { pubkey: ENTROPY_PROGRAM_ID, isSigner: false, isWritable: false },
+  ];
+
+  for (const group of groups) {
+    const deployData = Buffer.alloc(1 + 8 + 4);
+    deployData.writeUInt8(6, 0); // Instruction 6
+    deployData.writeBigUInt64LE(group.amountLamports, 1);
+    deployData.writeUInt32LE(createSquaresMask(group.targets), 9);
+
+    instructions.push(new TransactionInstruction({
+      keys: deployAccounts,
+      programId: ORE_PROGRAM_ID,
+      data: deployData,
+    }));
+  }
+
+  return { instructions, hasCheckpoint };
+}
+
+/**
+ * Returns the round's end slot as a number, or null while the round has no
+ * end yet (the board holds u64::MAX until the first deploy).
+ * @param {object|null} boardData - The parsed Board account.
+ * @returns {number|null} The end slot.
+ */
+function getRoundEndSlot(boardData) {
+  if (!boardData) return null;
+  const endSlot = Number(boardData.end_slot.toString());
+  return Number.isSafeInteger(endSlot) ? endSlot : null;
+}
+
+/**
+ * Builds an Associated Token Account `CreateIdempotent` instruction, which
+ * creates the owner's token account for the mint, or does nothing if it exists.
+ * @param {PublicKey} payer - Pays the rent (signer).
+ * @param {PublicKey} owner - The wallet that will own the token account.
+ * @param {PublicKey} mint - The token mint.
+ * @returns {TransactionInstruction}
+ */
+function createAssociatedTokenAccountInstruction(payer, owner, mint) {
+  const accounts = [
+    { pubkey: payer, isSigner: true, isWritable: true },
+    { pubkey: getAssociatedTokenAddress(owner, mint), isSigner: false, isWritable: true },
+    { pubkey: owner, isSigner: false, isWritable: false },
+    { pubkey: mint, isSigner: false, isWritable: false },
+    { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+  ];
+
+  return new TransactionInstruction({
+    keys: accounts,
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    data: Buffer.from([1]), // CreateIdempotent
+  });
+}
+
+/**
+ * Builds an SPL Token `TransferChecked` instruction.
+ * @param {PublicKey} source - The source token account.
+ * @param {PublicKey} mint - The token mint.
+ * @param {PublicKey} destination - The destination token account.
+ * @param {PublicKey} owner - The owner of the source account (signer).
+ * @param {bigint} amount - The amount, in base units.
+ * @param {number} decimals - The decimals of the mint.
+ * @returns {TransactionInstruction}
+ */
+function createTransferCheckedInstruction(source, mint, destination, owner, amount, decimals) {
+  const accounts = [
+    { pubkey: source, isSigner: false, isWritable: true },
+    { pubkey: mint, isSigner: false, isWritable: false },
+    { pubkey: destination, isSigner: false, isWritable: true },
+    { pubkey: owner, isSigner: true, isWritable: false },
+  ];
+
+  const dataBuffer = Buffer.alloc(1 + 8 + 1);
+  dataBuffer.writeUInt8(12, 0); // TransferChecked
+  dataBuffer.writeBigUInt64LE(amount, 1);
+  dataBuffer.writeUInt8(decimals, 9);
+
+  return new TransactionInstruction({
+    keys: accounts,
+    programId: TOKEN_PROGRAM_ID,
+    data: dataBuffer,
+  });
+}
+
+/**
+ * Reads the balance of a token account.
+ * @param {object} connection - The Solana connection object.
+ * @param {PublicKey} tokenAccount - The token account.
+ * @returns {Promise<bigint>} The amount in base units (0 if the account does not exist).
+ */
+async function fetchTokenBalance(connection, tokenAccount) {
+  const accountInfo = await connection.getAccountInfo(tokenAccount);
+  if (!accountInfo) return 0n;
+  return accountInfo.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET);
+}
+
+/**
+ * Extracts a transaction signature from a web3.js error message, if present.
+ * @param {string} message - The error message.
+ * @returns {string|null} The base58 signature, or null.
+ */
+function extractSignature(message) {
+  return (message || '').match(/Transaction ([a-zA-Z0-9]{87,88})/)?.[1] || null;
+}
+
 // --- Public Transaction Functions ---
 
 /**
  * Builds, signs, and sends the Deploy transaction.
+ * Targets with different amounts are deployed with one Deploy instruction per amount.
  *
- * @param {Array<object>} targets - Array of target objects to deploy to.
+ * @param {Array<object>} targets - Array of target objects { id, amount (SOL) } to deploy to.
  * @param {object} connection - The Solana connection object.
  * @param {Keypair} signer - The user's keypair.
+ * @returns {Promise<string|null>} The ledger outcome ('confirmed', 'too_late', 'expired'
+ * or 'failed'), or null if nothing was sent.
  */
 export async function sendDeployTx(targets, connection, signer) {
   // 1. Guard Clauses
   if (!signer) {
     log('deploy failed: signer keypair not loaded');
-    return;
+    return null;
   }
 
   if (targets.length === 0) {
     log('deploy skipped: no targets provided');
-    return;
+    return null;
   }
 
+  let ledgerEntry = null;
+  let endSlot = null;
+  let transaction = null;
+  const startedAt = Date.now();
+  deploysInFlight++;
+
   try {
     // 2. Get Global State
-    const { currentRoundId, customDeployAmount } = getState();
+    const { currentRoundId, currentBoardData } = getState();
     const authority = signer.publicKey;
+    endSlot = getRoundEndSlot(currentBoardData);
 
     const newRoundPda = getRoundPda(currentRoundId);
     const newRoundAccountInfo = await connection.getAccountInfo(newRoundPda);
     if (!newRoundAccountInfo) {
       log(`deploy skipped: round ${currentRoundId.toString()} account not found. Waiting for next tick.`);
-      return;
+      return null;
     }
 
     let roundData;
@@ -102,127 +344,114 @@ export async function sendDeployTx(targets, connection, signer) {
       }
     } catch (parseErr) {
        log(`deploy skipped: round ${currentRoundId.toString()} account found but not initialized. Waiting for next tick.`);
-       return;
+       return null;
     }
 
     // 3. Fetch Miner State (to check for checkpoint need)
-    const minerPda = getMinerPda(authority);
-    const minerAccountInfo = await connection.getAccountInfo(minerPda);
-
-    let minerRoundId = new BN(0);
-    let minerCheckpointId = new BN(0);
+    const minerState = await fetchMinerState(connection, authority);
 
-    if (minerAccountInfo) {
-      const minerData = parseMiner(minerAccountInfo.data);
-      minerRoundId = new BN(minerData.round_id.toString());
-      minerCheckpointId = new BN(minerData.checkpoint_id.toString());
-    }
+    // 4. Build the Checkpoint and Deploy instructions, one Deploy per distinct amount
+    const groups = groupTargetsByAmount(targets);
+    const { instructions, hasCheckpoint } = buildDeployInstructions(authority, currentRoundId, minerState, groups);
+    const totalLamports = groups.reduce((sum, g) => sum + g.amountLamports * BigInt(g.targets.length), 0n);
 
-    // 4. Start Building Transaction
-    const transaction = new Transaction();
+    // 5. Size the compute budget from the measured usage of this shape, then price it
+    const shape = getDeployShape(hasCheckpoint, groups.length, targets.length);
+    const computeUnits = getComputeUnitLimit(shape);
+    const priorityFee = getPriorityFee(computeUnits.units);
 
-    // 4a. Add Compute Budget
+    transaction = new Transaction();
     transaction.add(
-      ComputeBudgetProgram.setComputeUnitLimit({ units: 750000 }),
+      ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits.units }),
     );
     transaction.add(
-      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 100000 }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee.microLamports }),
     );
+    instructions.forEach(ix => transaction.add(ix));
 
-    // 5. Checkpoint Logic (Instruction 2)
-    const isStateDirty = !minerRoundId.eq(minerCheckpointId);
-    const canCheckpoint = minerRoundId.lt(currentRoundId);
-
-    if (isStateDirty && canCheckpoint) {
-      const checkpointAccounts = [
-        { pubkey: signer.publicKey, isSigner: true, isWritable: true },
-        { pubkey: getBoardPda(), isSigner: false, isWritable: false },
-        { pubkey: getMinerPda(authority), isSigner: false, isWritable: true },
-        { pubkey: getRoundPda(minerRoundId), isSigner: false, isWritable: true },
-        { pubkey: getTreasuryPda(), isSigner: false, isWritable: true },
-        { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
-      ];
-
-      const checkpointData = Buffer.alloc(1);
-      checkpointData.writeUInt8(2, 0); // Instruction 2
-
-      transaction.add(
-        new TransactionInstruction({
-          keys: checkpointAccounts,
-          programId: ORE_PROGRAM_ID,
-          data: checkpointData,
-        })
-      );
-    } else if (isStateDirty && !canCheckpoint) {
-      // Edge case: User trying to deploy twice in same round, or state is weird.
-      log(`warning: state dirty but round ${minerRoundId.toString()} is current. skipping checkpoint.`);
+    // 6. Not measured yet: simulate in the background, for the next deploy of this shape
+    if (!computeUnits.measured) {
+      measureComputeUnits(connection, instructions, shape, authority);
     }
 
-    const deployAccounts = [
-      { pubkey: signer.publicKey, isSigner: true, isWritable: true },
-      { pubkey: authority, isSigner: false, isWritable: true },
-      { pubkey: getAutomationPda(authority), isSigner: false, isWritable: true },
-      { pubkey: getBoardPda(), isSigner: false, isWritable: true },
-      { pubkey: getMinerPda(authority), isSigner: false, isWritable: true },
-      { pubkey: getRoundPda(currentRoundId), isSigner: false, isWritable: true },
-      { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
-      { pubkey: ORE_VAR_ADDRESS, isSigner: false, isWritable: true },
-      { pubkey: ENTROPY_PROGRAM_ID, isSigner: false, isWritable: false },
-    ];
-
-    const amountLamports = BigInt(Math.floor(customDeployAmount / SOL_PER_LAMPORT));
-    const squaresMask = createSquaresMask(targets);
-
-    const deployData = Buffer.alloc(1 + 8 + 4);
-    deployData.writeUInt8(6, 0); // Instruction 6
-    deployData.writeBigUInt64LE(amountLamports, 1);
-    deployData.writeUInt32LE(squaresMask, 9);
-
-    const deployInstruction = new TransactionInstruction({
-      keys: deployAccounts,
-      programId: ORE_PROGRAM_ID,
-      data: deployData,
-    });
-
-    // 6. Add Deploy Instruction
-    transaction.add(deployInstruction);
+    ledgerEntry = {
+      type: 'deploy',
+      roundId: currentRoundId.toString(),
+      squaresMask: createSquaresMask(targets),
+      squares: targets.map(t => t.id),
+      lamportsPerSquare: groups.length === 1 ? groups[0].amountLamports.toString() : null,
+      deployments: groups.flatMap(g => g.targets.map(t => ({ id: t.id, lamports: g.amountLamports.toString() }))),
+      totalLamports: totalLamports.toString(),
+      computeUnitLimit: computeUnits.units,
+      computeUnitPriceMicroLamports: priorityFee.microLamports,
+      endSlot,
+    };
 
     // 7. Send Transaction
-    log(`sending deploy tx for ${targets.length} target(s)...`);
-
-    const signature = await sendAndConfirmTransaction(
-      connection,
-      transaction,
-      [signer]
-      // { commitment: 'confirmed' } 
-    );
-
-    log(`deploy successful! signature: ${signature.slice(0, 16)}...`);
-
-    const newBalance = await connection.getBalance(authority);
-    const newBalanceSol = newBalance / LAMPORTS_PER_SOL;
-    setAppState({ userBalance: newBalanceSol });
+    log(`sending deploy tx for ${targets.length} target(s) in ${groups.length} instruction(s), ${computeUnits.units} CU${computeUnits.measured ? '' : ' (unmeasured)'}, ${formatTransactionFee(priorityFee)}...`);
+
+    const { signature, slot } = await sendWithDeadline({ connection, transaction, signer, endSlot });
+    recordDeployTiming(Date.now() - startedAt, true);
+
+    log(`deploy successful! signature: ${signature.slice(0, 16)}..., landed in slot ${slot}${endSlot !== null ? ` (end slot ${endSlot}, ${endSlot - slot} slot(s) to spare)` : ''}, ${formatTransactionFee(priorityFee)}`);
+    recordTransaction(connection, authority, { ...ledgerEntry, signature, outcome: 'confirmed' });
+
+    // Refresh the balance and the miner together, so the guardrails' equity
+    // never sees the stake leave the wallet before it shows on the miner
+    if (isMainSigner(signer)) {
+      const [walletInfo, minerInfo] = await connection.getMultipleAccountsInfo([authority, getMinerPda(authority)]);
+      setAppState({ userBalance: (walletInfo?.lamports || 0) / LAMPORTS_PER_SOL });
+      if (minerInfo) {
+        const minerData = parseMiner(minerInfo.data);
+        setAppState({
+          minerRewardsSol: Number(minerData.rewards_sol) * SOL_PER_LAMPORT,
+          minerAccount: minerData,
+          minerUpdatedAt: Date.now(),
+        });
+      }
+    }
+    return 'confirmed';
   } catch (e) {
     const errMessage = e.message || '';
+    const failedSignature = extractSignature(errMessage);
+    const decoded = decodeTransactionError(e, transaction?.instructions);
+    const errorFields = { signature: failedSignature, error: decoded.message, errorName: decoded.name, failedInstruction: decoded.instruction };
+
+    // Catch "Too Late" / Round Mismatch Errors, and deploys given up on at the round's end
+    const tooLate = decoded.name === TX_ERRORS.ROUND_ENDED
+      || (decoded.name === TX_ERRORS.INVALID_ACCOUNT_DATA && decoded.instruction === 'Deploy');
+    if (tooLate) {
+      log(`deploy skipped: transaction too late (${decoded.name === TX_ERRORS.ROUND_ENDED ? `not landed by end slot ${endSlot}` : decoded.message})`);
+      if (ledgerEntry) {
+        recordDeployTiming(Date.now() - startedAt, false);
+        recordTransaction(connection, signer.publicKey, { ...ledgerEntry, ...errorFields, outcome: 'too_late' });
+      }
+      return 'too_late';
+    }
+
+    // Never landed before its blockhash expired
+    if (decoded.name === TX_ERRORS.BLOCKHASH_EXPIRED) {
+      log(`deploy failed: ${decoded.message}`);
+      if (ledgerEntry) {
+        recordTransaction(connection, signer.publicKey, { ...ledgerEntry, ...errorFields, outcome: 'expired' });
+      }
+      return 'expired';
+    }
 
-    // Catch "Too Late" / Round Mismatch Errors
-    if (errMessage.includes('InvalidAccountData')) {
-      log(`deploy skipped: transaction too late (round likely ended)`);
-      return;
+    log(`deploy failed: ${decoded.message}`);
+    if (ledgerEntry) {
+      recordTransaction(connection, signer.publicKey, { ...ledgerEntry, ...errorFields, outcome: 'failed' });
     }
 
     // --- 2. Attempt to fetch logs for other errors ---
     let logs = '(none)';
     try {
       // Try to parse the signature from the error message
-      const sigMatch = errMessage.match(/Transaction ([a-zA-Z0-9]{87,88})/);
-      if (sigMatch && sigMatch[1]) {
-        const signature = sigMatch[1];
-
+      if (failedSignature) {
         // Give the RPC a second to catch up
         await new Promise(resolve => setTimeout(resolve, 1000));
 
-        logs = await connection.getLogs(signature, 'confirmed');
+        logs = await connection.getLogs(failedSignature, 'confirmed');
       }
     } catch (logError) {
       log(`error fetching logs: ${logError.message}`);
@@ -230,6 +459,50 @@ export async function sendDeployTx(targets, connection, signer) {
 
     // --- 3. Handle actual fatal errors ---
     handleFatalError(e, logs);
+    return 'failed';
+  } finally {
+    deploysInFlight--;
+  }
+}
+
+/**
+ * Checks whether a deploy is being sent (by the main wallet or a swarm wallet).
+ * @returns {boolean} True while any deploy has not reached its outcome.
+ */
+export function isDeployInFlight() {
+  return deploysInFlight > 0;
+}
+
+/**
+ * Checks whether a SOL or ORE claim is being sent (by any wallet, automatic or manual).
+ * @returns {boolean} True while any claim has not reached its outcome.
+ */
+export function isClaimInFlight() {
+  return claimsInFlight > 0;
+}
+
+/**
+ * Measures the compute units of the deploy the signer would send this round
+ * (one Deploy instruction, plus a checkpoint if needed), ahead of the automation trigger.
+ * It covers as many squares as the built-in mode deploys to, or, for a custom
+ * strategy, as many as the miner's last round.
+ * @param {object} connection - The Solana connection object.
+ * @param {Keypair} signer - The user's keypair.
+ */
+export async function prewarmDeployComputeUnits(connection, signer) {
+  if (!signer) return;
+
+  try {
+    const { currentRoundId, customDeployAmount, appMode } = getState();
+    const minerState = await fetchMinerState(connection, signer.publicKey);
+    const squareCount = getBuiltInTargetCount(appMode) ?? Math.max(1, minerState.squareCount);
+    const targets = Array.from({ length: squareCount }, (_, i) => ({ id: i + 1, amount: customDeployAmount }));
+    const groups = groupTargetsByAmount(targets);
+    const { instructions, hasCheckpoint } = buildDeployInstructions(signer.publicKey, currentRoundId, minerState, groups);
+
+    await measureComputeUnits(connection, instructions, getDeployShape(hasCheckpoint, groups.length, squareCount), signer.publicKey);
+  } catch (e) {
+    log(`compute unit prewarm failed: ${e.message}`);
   }
 }
 
@@ -247,10 +520,24 @@ export async function sendClaimSolTx(connection, signer) {
   }
   log('attempting to claim SOL from Miner PDA...');
 
+  const authority = signer.publicKey;
+  let claimableLamports = null;
+  let transaction = null;
+
+  claimsInFlight++;
   try {
-    const authority = signer.publicKey;
     const minerPda = getMinerPda(authority);
 
+    // Read the pending amount first, so the ledger knows what was claimed
+    const minerAccountInfo = await connection.getAccountInfo(minerPda);
+    if (minerAccountInfo) {
+      claimableLamports = parseMiner(minerAccountInfo.data).rewards_sol.toString();
+    }
+    if (claimableLamports === '0') {
+      log('claim SOL: no pending rewards to claim.');
+      return true;
+    }
+
     const accounts = [
       { pubkey: authority, isSigner: true, isWritable: true },
       { pubkey: minerPda, isSigner: false, isWritable: true },
@@ -267,7 +554,7 @@ export async function sendClaimSolTx(connection, signer) {
       data: dataBuffer,
     });
 
-    const transaction = new Transaction().add(instruction);
+    transaction = new Transaction().add(instruction);
 
     const signature = await sendAndConfirmTransaction(
       connection,
@@ -276,32 +563,224 @@ export async function sendClaimSolTx(connection, signer) {
     );
 
     log(`claim SOL successful: ${signature.slice(0, 16)}...`);
+    recordTransaction(connection, authority, {
+      type: 'claim_sol',
+      amountLamports: claimableLamports,
+      signature,
+      outcome: 'confirmed',
+    });
 
-    const newBalance = await connection.getBalance(authority);
-    const newBalanceSol = newBalance / LAMPORTS_PER_SOL;
-    setAppState({ userBalance: newBalanceSol });
+    if (isMainSigner(signer)) {
+      const newBalance = await connection.getBalance(authority);
+      setAppState({ userBalance: newBalance / LAMPORTS_PER_SOL });
+    }
 
     return true; // Success
   } catch (e) {
     const errorMsg = e.message || e.logs?.join(' ') || '';
-    
-    // Check for common non-fatal "nothing to claim" errors
-    if (errorMsg.includes('custom program error')) {
+    const decoded = decodeTransactionError(e, transaction?.instructions);
+
+    // The program refuses to claim an empty balance
+    if (decoded.name === TX_ERRORS.AMOUNT_TOO_SMALL && decoded.instruction === 'ClaimSOL') {
       log('claim SOL: no pending rewards to claim.');
       return true; // Not a failure, just nothing to do.
     }
     
     // Real error
-    log(`claim SOL FAILED: ${errorMsg}`);
+    log(`claim SOL FAILED: ${decoded.message}`);
+    recordTransaction(connection, authority, {
+      type: 'claim_sol',
+      amountLamports: claimableLamports,
+      signature: extractSignature(errorMsg),
+      outcome: 'failed',
+      error: decoded.message,
+      errorName: decoded.name,
+      failedInstruction: decoded.instruction,
+    });
     return false; // Return false on real error
+   } finally {
+    claimsInFlight--;
+  }
+}
+
+/**
+ * Builds and sends a 'claim ORE' transaction (Instruction 4).
+ * This moves unrefined and refined ORE from the Miner PDA to the wallet's
+ * ORE token account, which is created first if it does not exist yet.
+ * @param {object} connection - The Solana connection object.
+ * @param {Keypair} signer - The user's keypair.
+ * @returns {Promise<boolean>} - True if successful or if there was nothing to claim.
+ */
+export async function sendClaimOreTx(connection, signer) {
+  if (!signer) {
+    log('claim ORE FAILED: signer not loaded');
+    return false;
+  }
+  log('attempting to claim ORE from Miner PDA...');
+
+  const authority = signer.publicKey;
+  let claimableOre = null;
+  let transaction = null;
+
+  claimsInFlight++;
+  try {
+    const minerPda = getMinerPda(authority);
+    const treasuryPda = getTreasuryPda();
+
+    // Read the pending amount first, so the ledger knows what was claimed
+    const minerAccountInfo = await connection.getAccountInfo(minerPda);
+    if (minerAccountInfo) {
+      const minerData = parseMiner(minerAccountInfo.data);
+      claimableOre = (BigInt(minerData.rewards_ore) + BigInt(minerData.refined_ore)).toString();
+    }
+    if (claimableOre === '0') {
+      log('claim ORE: no pending rewards to claim.');
+      return true;
+    }
+
+    const accounts = [
+      { pubkey: authority, isSigner: true, isWritable: true },
+      { pubkey: minerPda, isSigner: false, isWritable: true },
+      { pubkey: ORE_MINT, isSigner: false, isWritable: true },
+      { pubkey: getAssociatedTokenAddress(authority, ORE_MINT), isSigner: false, isWritable: true },
+      { pubkey: treasuryPda, isSigner: false, isWritable: true },
+      { pubkey: getAssociatedTokenAddress(treasuryPda, ORE_MINT), isSigner: false, isWritable: true },
+      { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    ];
+
+    // Instruction 4: ClaimORE
+    const dataBuffer = Buffer.alloc(1);
+    dataBuffer.writeUInt8(4, 0);
+
+    const instruction = new TransactionInstruction({
+      keys: accounts,
+      programId: ORE_PROGRAM_ID,
+      data: dataBuffer,
+    });
+
+    transaction = new Transaction().add(
+      createAssociatedTokenAccountInstruction(authority, authority, ORE_MINT),
+      instruction
+    );
+
+    const signature = await sendAndConfirmTransaction(
+      connection,
+      transaction,
+      [signer]
+    );
+
+    const claimedText = claimableOre === null ? '' : ` (${(Number(claimableOre) / ORE_DIVISOR).toFixed(4)} ORE)`;
+    log(`claim ORE successful${claimedText}: ${signature.slice(0, 16)}...`);
+    recordTransaction(connection, authority, {
+      type: 'claim_ore',
+      amountOre: claimableOre,
+      signature,
+      outcome: 'confirmed',
+    });
+
+    return true; // Success
+  } catch (e) {
+    const errorMsg = e.message || e.logs?.join(' ') || '';
+    const decoded = decodeTransactionError(e, transaction?.instructions);
+
+    // The program refuses to claim an empty balance
+    if (decoded.name === TX_ERRORS.AMOUNT_TOO_SMALL && decoded.instruction === 'ClaimORE') {
+      log('claim ORE: no pending rewards to claim.');
+      return true; // Not a failure, just nothing to do.
+    }
+
+    // Real error
+    log(`claim ORE FAILED: ${decoded.message}`);
+    recordTransaction(connection, authority, {
+      type: 'claim_ore',
+      amountOre: claimableOre,
+      signature: extractSignature(errorMsg),
+      outcome: 'failed',
+      error: decoded.message,
+      errorName: decoded.name,
+      failedInstruction: decoded.instruction,
+    });
+    return false; // Return false on real error
+   } finally {
+    claimsInFlight--;
+  }
+}
+
+/**
+ * Sends the wallet's whole ORE token balance to a destination wallet,
+ * creating the destination's ORE token account if needed (paid by the sender).
+ * @param {object} connection - The Solana connection.
+ * @param {Keypair} signer - The user's keypair.
+ * @param {PublicKey} toPubkey - The destination wallet.
+ * @returns {Promise<boolean>} - True if sent, or if there was no ORE to send.
+ */
+async function sendOreBalance(connection, signer, toPubkey) {
+  const authority = signer.publicKey;
+  const sourceAccount = getAssociatedTokenAddress(authority, ORE_MINT);
+  let amount = 0n;
+  let transaction = null;
+
+  try {
+    amount = await fetchTokenBalance(connection, sourceAccount);
+    if (amount === 0n) {
+      log('cash out: no ORE tokens to send.');
+      return true;
+    }
+
+    log(`cashing out ${(Number(amount) / ORE_DIVISOR).toFixed(4)} ORE...`);
+
+    transaction = new Transaction().add(
+      createAssociatedTokenAccountInstruction(authority, toPubkey, ORE_MINT),
+      createTransferCheckedInstruction(
+        sourceAccount,
+        ORE_MINT,
+        getAssociatedTokenAddress(toPubkey, ORE_MINT),
+        authority,
+        amount,
+        ORE_DECIMALS
+      )
+    );
+
+    const signature = await sendAndConfirmTransaction(
+      connection,
+      transaction,
+      [signer]
+    );
+
+    log(`ORE sent: ${signature.slice(0, 16)}...`);
+    recordTransaction(connection, authority, {
+      type: 'cash_out_ore',
+      destination: toPubkey.toBase58(),
+      amountOre: amount.toString(),
+      signature,
+      outcome: 'confirmed',
+    });
+    return true;
+  } catch (e) {
+    const decoded = decodeTransactionError(e, transaction?.instructions);
+    log(`cash out FAILED: ORE transfer failed: ${decoded.message}`);
+    recordTransaction(connection, authority, {
+      type: 'cash_out_ore',
+      destination: toPubkey.toBase58(),
+      amountOre: amount.toString(),
+      signature: extractSignature(e.message),
+      outcome: 'failed',
+      error: decoded.message,
+      errorName: decoded.name,
+      failedInstruction: decoded.instruction,
+    });
+    return false;
   }
 }
 
 /**
  * Orchestrates the full cash-out process:
- * 1. Claims pending SOL from the Miner PDA.
- * 2. Fetches the new total SOL balance.
- * 3. Sends the entire balance to the target address.
+ * 1. Claims pending SOL and ORE from the Miner PDA.
+ * 2. Sends the wallet's ORE tokens to the target address.
+ * 3. Fetches the new total SOL balance.
+ * 4. Sends the entire SOL balance to the target address.
  * @param {string} targetAddress - The destination base58 address.
  * @param {object} connection - The Solana connection.
  * @param {Keypair} signer - The user's keypair.
@@ -321,18 +800,31 @@ export async function executeFullCashOut(targetAddress, connection, signer) {
     return;
   }
 
-  // --- Step 1: Claim SOL from Miner PDA ---
+  // --- Step 1: Claim SOL and ORE from Miner PDA ---
   const claimSuccess = await sendClaimSolTx(connection, signer);
   if (!claimSuccess) {
     log('cash out ABORTED: claim SOL failed. See log.');
     return;
   }
+
+  const claimOreSuccess = await sendClaimOreTx(connection, signer);
+  if (!claimOreSuccess) {
+    log('cash out ABORTED: claim ORE failed. See log.');
+    return;
+  }
   
   // Wait a moment for the RPC to reflect the balance change
   log('waiting for balance to update...');
   await new Promise(resolve => setTimeout(resolve, 2000)); 
 
-  // --- Step 2: Fetch NEW total balance ---
+  // --- Step 2: Send ORE tokens (before the SOL, which pays its fees) ---
+  const oreSuccess = await sendOreBalance(connection, signer, toPubkey);
+  if (!oreSuccess) {
+    log('cash out ABORTED: ORE transfer failed, SOL left in the wallet. See log.');
+    return;
+  }
+
+  // --- Step 3: Fetch NEW total balance ---
   let newBalance = 0;
   try {
     newBalance = await connection.getBalance(authority);
@@ -344,7 +836,7 @@ export async function executeFullCashOut(targetAddress, connection, signer) {
     return; // Abort
   }
   
-  // --- Step 3: Send Entire Balance ---
+  // --- Step 4: Send Entire Balance ---
   const FEE_BUFFER = 5000; // Standard transfer fee
   const amountToSend = newBalance - FEE_BUFFER;
 
@@ -355,15 +847,15 @@ export async function executeFullCashOut(targetAddress, connection, signer) {
 
   log(`cashing out ${(amountToSend / LAMPORTS_PER_SOL).toFixed(6)} SOL...`);
 
-  try {
-    const transaction = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: authority,
-        toPubkey: toPubkey,
-        lamports: amountToSend,
-      })
-    );
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({
+      fromPubkey: authority,
+      toPubkey: toPubkey,
+      lamports: amountToSend,
+    })
+  );
 
+  try {
     const signature = await sendAndConfirmTransaction(
       connection,
       transaction,
@@ -371,12 +863,30 @@ export async function executeFullCashOut(targetAddress, connection, signer) {
     );
 
     log(`CASH OUT SUCCESSFUL: ${signature.slice(0, 16)}...`);
+    recordTransaction(connection, authority, {
+      type: 'cash_out',
+      destination: toPubkey.toBase58(),
+      amountLamports: amountToSend,
+      signature,
+      outcome: 'confirmed',
+    });
     
     // Refresh balance one last time
     const finalBalance = await connection.getBalance(authority);
     setAppState({ userBalance: finalBalance / LAMPORTS_PER_SOL });
 
   } catch (e) {
-    log(`cash out FAILED: transfer tx failed: ${e.message}`);
+    const decoded = decodeTransactionError(e, transaction.instructions);
+    log(`cash out FAILED: transfer tx failed: ${decoded.message}`);
+    recordTransaction(connection, authority, {
+      type: 'cash_out',
+      destination: toPubkey.toBase58(),
+      amountLamports: amountToSend,
+      signature: extractSignature(e.message),
+      outcome: 'failed',
+      error: decoded.message,
+      errorName: decoded.name,
+      failedInstruction: decoded.instruction,
+    });
   }
 }
@@ -5,8 +5,8 @@
  * @description Manages the Terminal User Interface (TUI) using 'blessed'.
  * This file is responsible for creating, laying out, and styling all
  * blessed widgets (the game board grid, stats window, log window,
- * and controls panel). It also handles all user keypress events
- * for controlling the application.
+ * controls panel, the swarm wallets panel and the miner panel). It also
+ * handles all user keypress events for controlling the application.
  * @project lodestar-cli
  * @license MIT
  */
@@ -16,19 +16,28 @@ import blessed from 'blessed';
 import { APP_MODES } from './constants.mjs';
 import {
   getState,
+  setAppState,
   setAppMode,
   toggleSpeculate,
   toggleAudio,
+  cycleSizingMode,
   setCustomDeployAmount,
 } from './state.mjs';
 import { colors } from './theme.mjs';
 import { log } from './utils.mjs';
 import { getSigner } from './wallet.mjs';
 import { getConnection } from './solana.mjs';
-import { executeFullCashOut } from './transactions.mjs';
+import { executeFullCashOut, sendClaimOreTx } from './transactions.mjs';
+import { cycleCustomStrategy } from './strategies.mjs';
+import { getSizingSettings, formatSizing } from './sizing.mjs';
+import { getConfig } from './config.mjs';
+import { getSwarmWallets, formatSwarmSummary } from './swarm.mjs';
+import { formatMinerDetails } from './minerDetails.mjs';
 
 // --- Module-level Variables ---
 let controlsWindow;
+let swarmPanel;
+let minerPanel;
 
 // --- TUI Components ---
 
@@ -231,12 +240,13 @@ function showDeployAmountPrompt(screen) {
 
 /**
  * Updates the content of the controls window based on the current app state.
+ * No-op when the TUI is not running (headless mode).
  */
-function updateControlsWindow() {
+export function updateControlsWindow() {
   if (!controlsWindow) return;
 
   // 1. Get current state
-  const { appMode, isSpeculating, isAudioEnabled, customDeployAmount } = getState();
+  const { appMode, isSpeculating, isAudioEnabled, customDeployAmount, guardrailTrip, automationBlock } = getState();
 
   // 2. Determine colors and text
   const modeColor = appMode === APP_MODES.IDLE ? `${colors.RED}-fg` : `${colors.GREEN}-fg`;
@@ -244,20 +254,45 @@ function updateControlsWindow() {
   const speculateText = isSpeculating ? 'ON' : 'OFF';
   const audioColor = isAudioEnabled ? `${colors.GREEN}-fg` : `${colors.RED}-fg`;
   const audioText = isAudioEnabled ? 'ON' : 'OFF';
+  const sizingText = formatSizing(getSizingSettings());
+  const guardrailText = appMode === APP_MODES.IDLE && guardrailTrip
+    ? `\n {${colors.RED}-fg}guardrail: ${guardrailTrip}{/${colors.RED}-fg}`
+    : '';
+  const blockText = appMode !== APP_MODES.IDLE && automationBlock
+    ? `\n {${colors.YELLOW}-fg}skipping: ${automationBlock}{/${colors.YELLOW}-fg}`
+    : '';
 
   // 3. Build content string
   const content = ` [{${colors.YELLOW}-fg}0{/${colors.YELLOW}-fg}] idle | [{${colors.YELLOW}-fg}1{/${colors.YELLOW}-fg}] ${APP_MODES.ONE_X_EV} | [{${colors.YELLOW}-fg}2{/${colors.YELLOW}-fg}] ${APP_MODES.THREE_X_EV} | [{${colors.YELLOW}-fg}3{/${colors.YELLOW}-fg}] ${APP_MODES.FIVE_X_EV}
  [{${colors.YELLOW}-fg}4{/${colors.YELLOW}-fg}] ${APP_MODES.THIRTEEN_X_EV} | [{${colors.YELLOW}-fg}5{/${colors.YELLOW}-fg}] ${APP_MODES.TWENTY_FIVE_X_EV}
 
- [{${colors.YELLOW}-fg}S{/${colors.YELLOW}-fg}]pectate: {${speculateColor}}${speculateText}{/${speculateColor}} | [{${colors.YELLOW}-fg}A{/${colors.YELLOW}-fg}]udio: {${audioColor}}${audioText}{/${audioColor}}
- [{${colors.YELLOW}-fg}D{/${colors.YELLOW}-fg}]eploy: {${colors.YELLOW}-fg}${customDeployAmount.toFixed(4)} sol{/${colors.YELLOW}-fg} | [{${colors.YELLOW}-fg}C{/${colors.YELLOW}-fg}]ash Out
+ [{${colors.YELLOW}-fg}S{/${colors.YELLOW}-fg}]pectate: {${speculateColor}}${speculateText}{/${speculateColor}} | [{${colors.YELLOW}-fg}A{/${colors.YELLOW}-fg}]udio: {${audioColor}}${audioText}{/${audioColor}} | claim [{${colors.YELLOW}-fg}O{/${colors.YELLOW}-fg}]re
+ [{${colors.YELLOW}-fg}D{/${colors.YELLOW}-fg}]eploy: {${colors.YELLOW}-fg}${customDeployAmount.toFixed(4)} sol{/${colors.YELLOW}-fg} | si[{${colors.YELLOW}-fg}Z{/${colors.YELLOW}-fg}]ing: {${colors.YELLOW}-fg}${sizingText}{/${colors.YELLOW}-fg} | [{${colors.YELLOW}-fg}C{/${colors.YELLOW}-fg}]ash Out
 
- mode: {${modeColor}}${appMode}{/} | [{${colors.YELLOW}-fg}Q{/${colors.YELLOW}-fg}]uit`;
+ mode: {${modeColor}}${appMode}{/} | s[{${colors.YELLOW}-fg}T{/${colors.YELLOW}-fg}]rategy | [{${colors.YELLOW}-fg}W{/${colors.YELLOW}-fg}]allets | [{${colors.YELLOW}-fg}M{/${colors.YELLOW}-fg}]iner | [{${colors.YELLOW}-fg}Q{/${colors.YELLOW}-fg}]uit${guardrailText}${blockText}`;
 
   // 4. Set content
   controlsWindow.setContent(content);
 }
 
+/**
+ * Refreshes the swarm panel with the per-wallet summary.
+ * No-op when the TUI is not running (headless mode).
+ */
+export function updateSwarmPanel() {
+  if (!swarmPanel) return;
+  swarmPanel.setContent(formatSwarmSummary().join('\n'));
+}
+
+/**
+ * Refreshes the miner panel with the last fetched Miner account.
+ * No-op when the TUI is not running (headless mode).
+ */
+export function updateMinerPanel() {
+  if (!minerPanel) return;
+  minerPanel.setContent(formatMinerDetails().join('\n'));
+}
+
 /**
  * Creates the 5x5 grid widgets inside the board window.
  * @param {blessed.box} boardWindow - The parent window for the grid.
@@ -365,6 +400,21 @@ function setupKeyListeners(screen) {
       case '5':
         modeUpdated = setAppMode(APP_MODES.TWENTY_FIVE_X_EV);
         break;
+      case 't': {
+        const strategy = cycleCustomStrategy();
+        if (strategy) {
+          log(`strategy: ${strategy}`);
+          modeUpdated = true;
+        } else {
+          log(`no custom strategies loaded from ${getConfig().strategies.dir}/`);
+        }
+        break;
+      }
+      case 'z':
+        cycleSizingMode();
+        log(`sizing: ${formatSizing(getSizingSettings())}`);
+        modeUpdated = true;
+        break;
       case 's':
         toggleSpeculate();
         modeUpdated = true;
@@ -379,10 +429,41 @@ function setupKeyListeners(screen) {
       case 'c':
         showCashOutPrompt(screen);
         break;
+      case 'o': {
+        const connection = getConnection();
+        const signer = getSigner();
+        if (connection && signer) {
+          // Don't await, the result is logged
+          sendClaimOreTx(connection, signer);
+        } else {
+          log('claim ORE ERROR: connection or signer not found');
+        }
+        break;
+      }
+      case 'w':
+        if (getSwarmWallets().length === 0) {
+          log('no swarm wallets loaded (set swarm.enabled and add keypairs to swarm.dir)');
+          break;
+        }
+        updateSwarmPanel();
+        minerPanel.hide();
+        swarmPanel.toggle();
+        screen.render();
+        break;
+      case 'm':
+        updateMinerPanel();
+        swarmPanel.hide();
+        minerPanel.toggle();
+        screen.render();
+        break;
     }
 
     // 4. Re-render if state changed
     if (modeUpdated) {
+      // Picking a mode again acknowledges a tripped guardrail
+      if (getState().appMode !== APP_MODES.IDLE) {
+        setAppState({ guardrailTrip: null });
+      }
       updateControlsWindow();
       screen.render();
     }
@@ -516,6 +597,38 @@ export function initTUI() {
     content: 'loading controls...',
   });
 
+  // Swarm wallets panel, drawn over the board and toggled with [W]
+  swarmPanel = blessed.box({
+    parent: screen,
+    top: 0,
+    left: 0,
+    width: '60%',
+    height: '80%',
+    label: 'swarm',
+    border: 'line',
+    style: { border: { fg: colors.YELLOW } },
+    tags: true,
+    hidden: true,
+    scrollable: true,
+    content: '',
+  });
+
+  // Miner account details, drawn over the board and toggled with [M]
+  minerPanel = blessed.box({
+    parent: screen,
+    top: 0,
+    left: 0,
+    width: '60%',
+    height: '80%',
+    label: 'miner',
+    border: 'line',
+    style: { border: { fg: colors.YELLOW } },
+    tags: true,
+    hidden: true,
+    scrollable: true,
+    content: '',
+  });
+
   // 3. Create Widgets inside Stats Window
   let widgetTop = 0;
   const countdownTimer = blessed.text({
@@ -608,6 +721,24 @@ export function initTUI() {
     tags: true
   });
 
+  const paperPnlDisplay = blessed.text({
+    parent: statsWindow,
+    top: widgetTop++,
+    left: 1,
+    height: 1,
+    content: '    paper p&l: --',
+    tags: true
+  });
+
+  const slotClockDisplay = blessed.text({
+    parent: statsWindow,
+    top: widgetTop++,
+    left: 1,
+    height: 1,
+    content: '   slot clock: --',
+    tags: true
+  });
+
   widgetTop++; // Add a spacer line
   const statsLog = blessed.log({
     parent: statsWindow,
@@ -653,7 +784,11 @@ export function initTUI() {
     solPriceDisplay,
     oreSolRatioDisplay,
     bestEVDisplay,
+    paperPnlDisplay,
+    slotClockDisplay,
     statsLog,
+    swarmPanel,
+    minerPanel,
     gridWidgets,
   };
 }
@@ -4,13 +4,15 @@
  * @org Radiants @RadiantsDAO
  * @description A collection of shared utility functions used across the app.
  * Includes the TUI logger (`log`), a fatal error handler (`handleFatalError`),
- * the notification sound player, and various string/number formatting
- * functions like `formatSol` and `truncateAddress`.
+ * the notification sound player, JSONL file helpers, and various
+ * string/number formatting functions like `formatSol` and `truncateAddress`.
  * @project lodestar-cli
  * @license MIT
  */
 
 // --- Imports ---
+import fs from 'fs';
+import path from 'path';
 import { SOUND_COOLDOWN_MS } from './constants.mjs';
 import { getState, setAppState } from './state.mjs';
 
@@ -136,6 +138,43 @@ export const truncateAddress = (address) => {
   return `${firstFour}...${lastFour}`;
 };
 
+// --- JSONL Files ---
+
+/**
+ * JSON.stringify replacer that writes BigInt values (u64 account fields) as strings.
+ */
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Appends one record as a JSON line to a file, creating its directory if needed.
+ * @param {string} filePath - The JSONL file path.
+ * @param {object} record - The record to append.
+ */
+export function appendJsonLine(filePath, record) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(record, jsonReplacer)}\n`);
+}
+
+/**
+ * Reads every record from a JSONL file. Malformed lines are skipped.
+ * @param {string} filePath - The JSONL file path.
+ * @returns {Array<object>} The records, or an empty array if the file is missing.
+ */
+export function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const records = [];
+  for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) { /* skip partial or corrupt lines */ }
+  }
+  return records;
+}
+
 /**
  * Schedule the next tick from the original start time. 
  * Removes cumulative drift and can catch up if a tick was delayed.
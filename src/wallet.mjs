@@ -4,8 +4,11 @@
  * @org Radiants @RadiantsDAO
  * @description Manages the local wallet lifecycle.
  * Checks for a local `id.json` keypair. If missing, generates one,
- * saves it, and prompts the user to fund it. If present, validates
- * the balance before allowing the app to start.
+ * saves it encrypted with a passphrase, and prompts the user to fund
+ * it. If present, unlocks it (asking for the passphrase before the TUI
+ * starts) and validates the balance before allowing the app to start.
+ * Also implements the `encrypt-wallet` command, which encrypts an
+ * existing plaintext `id.json` in place.
  * @project lodestar-cli
  * @license MIT
  */
@@ -17,39 +20,81 @@ import path from 'path';
 import { log } from './utils.mjs';
 import { colors } from './theme.mjs';
 import { setAppState } from './state.mjs';
+import {
+  isEncryptedKeystore,
+  encryptSecretKey,
+  decryptKeystore,
+  resolvePassphrase,
+  writeKeystore,
+} from './keystore.mjs';
+
+// --- Constants ---
+const WALLET_FILE = 'id.json';
 
 // --- Module-level Variables ---
 let signerKeypair = null;
+let unlockPassphrase = null;
 
 // --- Public Functions ---
 
 /**
- * Loads the signer from the current directory or creates it if missing.
- * Also performs a strict balance check (on-boarding flow).
- * @param {Connection} connection - The Solana connection object (needed for balance check).
- * @returns {Promise<Keypair>} The loaded keypair.
+ * Resolves the passphrase that unlocks the wallet files, once per process.
+ * The swarm wallets reuse it, since a passphrase fd can only be read once.
+ * @param {object} [passphraseOptions] - { passphraseFd, passphraseFile } from the command line.
+ * @returns {Promise<string>} The passphrase.
  */
-export async function loadSigner(connection) {
+export async function getUnlockPassphrase(passphraseOptions = {}) {
+  unlockPassphrase ??= await resolvePassphrase(passphraseOptions);
+  return unlockPassphrase;
+}
+
+/**
+ * Unlocks the signer from the current directory or creates it if missing.
+ * Must run before the TUI starts, since it may prompt for the passphrase.
+ * @param {object} [passphraseOptions] - { passphraseFd, passphraseFile } from the command line.
+ * @returns {Promise<Keypair>} The unlocked keypair.
+ */
+export async function unlockSigner(passphraseOptions = {}) {
   if (signerKeypair) return signerKeypair;
 
-  const keypairPath = path.join(process.cwd(), 'id.json');
+  const keypairPath = path.join(process.cwd(), WALLET_FILE);
 
   // 1. Check if file exists
   if (!fs.existsSync(keypairPath)) {
-    return handleNewWallet(keypairPath);
+    return handleNewWallet(keypairPath, passphraseOptions);
   }
 
-  // 2. Load existing wallet
+  // 2. Load existing wallet (encrypted keystore or plaintext key array)
   try {
-    const keypairFile = fs.readFileSync(keypairPath, 'utf-8');
-    const secretKey = Uint8Array.from(JSON.parse(keypairFile));
-    signerKeypair = Keypair.fromSecretKey(secretKey);
+    const parsed = JSON.parse(fs.readFileSync(keypairPath, 'utf-8'));
+
+    if (isEncryptedKeystore(parsed)) {
+      const passphrase = await getUnlockPassphrase(passphraseOptions);
+      signerKeypair = Keypair.fromSecretKey(await decryptKeystore(parsed, passphrase));
+    } else {
+      signerKeypair = Keypair.fromSecretKey(Uint8Array.from(parsed));
+      log(`warning: ${WALLET_FILE} is not encrypted. run \`lodestar encrypt-wallet\` to protect it with a passphrase.`);
+    }
   } catch (e) {
-    log(`ERROR: Failed to parse local id.json.`);
+    log(`ERROR: Failed to unlock local ${WALLET_FILE}.`);
     log(`Details: ${e.message}`);
     process.exit(1);
   }
 
+  return signerKeypair;
+}
+
+/**
+ * Checks the balance of the unlocked signer (on-boarding flow).
+ * Unlocks the wallet first if `unlockSigner` has not run yet.
+ * @param {Connection} connection - The Solana connection object (needed for balance check).
+ * @returns {Promise<Keypair>} The loaded keypair.
+ */
+export async function loadSigner(connection) {
+  if (!signerKeypair) {
+    await unlockSigner();
+  }
+
   const pubkeyStr = signerKeypair.publicKey.toBase58();
   
   // 3. Check Balance
@@ -73,22 +118,70 @@ export function getSigner() {
   return signerKeypair;
 }
 
+/**
+ * Entry point of the `encrypt-wallet` command.
+ * Encrypts the plaintext `id.json` in the current directory in place.
+ * @param {object} options - The options returned by `parseCliArgs` ({ passphraseFd, passphraseFile }).
+ * @returns {Promise<number>} The process exit code.
+ */
+export async function encryptWalletCommand(options) {
+  const keypairPath = path.join(process.cwd(), WALLET_FILE);
+
+  try {
+    // 1. Read the plaintext wallet
+    if (!fs.existsSync(keypairPath)) {
+      console.error(`no ${WALLET_FILE} found in ${process.cwd()}`);
+      return 1;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(keypairPath, 'utf-8'));
+    if (isEncryptedKeystore(parsed)) {
+      console.error(`${keypairPath} is already encrypted`);
+      return 1;
+    }
+    const keypair = Keypair.fromSecretKey(Uint8Array.from(parsed));
+    const pubkey = keypair.publicKey.toBase58();
+
+    // 2. Encrypt, and check the result decrypts before replacing the file
+    const passphrase = await resolvePassphrase({ ...options, confirm: true });
+    const keystore = await encryptSecretKey(keypair.secretKey, passphrase, pubkey);
+    const roundTrip = Keypair.fromSecretKey(await decryptKeystore(keystore, passphrase));
+    if (roundTrip.publicKey.toBase58() !== pubkey) {
+      throw new Error('keystore verification failed, id.json left unchanged');
+    }
+
+    writeKeystore(keypairPath, keystore);
+    console.log(`encrypted ${keypairPath} (wallet ${pubkey})`);
+    console.log('keep your passphrase safe: it cannot be recovered.');
+    return 0;
+  } catch (e) {
+    console.error(`error: ${e.message}`);
+    return 1;
+  }
+}
+
 // --- Private Helper Functions ---
 
 /**
- * Handles the creation of a new wallet file and exits.
+ * Handles the creation of a new (encrypted) wallet file and exits.
  * @param {string} filePath - The path to save the new keypair.
+ * @param {object} passphraseOptions - { passphraseFd, passphraseFile } from the command line.
  */
-function handleNewWallet(filePath) {
+async function handleNewWallet(filePath, passphraseOptions) {
   // 1. Generate new keypair
   const newKeypair = Keypair.generate();
-  const secretKeyArray = Array.from(newKeypair.secretKey);
-
-  // 2. Write to disk
-  fs.writeFileSync(filePath, JSON.stringify(secretKeyArray));
-
   const pubkey = newKeypair.publicKey.toBase58();
 
+  // 2. Encrypt and write to disk
+  try {
+    console.log('creating a new bot wallet. choose a passphrase to encrypt it:');
+    const passphrase = await resolvePassphrase({ ...passphraseOptions, confirm: true });
+    writeKeystore(filePath, await encryptSecretKey(newKeypair.secretKey, passphrase, pubkey));
+  } catch (e) {
+    console.error(`ERROR: could not create the wallet: ${e.message}`);
+    process.exit(1);
+  }
+
   // 3. Inform User and Exit
   console.log(`\x1b[33m                                ========\x1b[0m`);
   console.log(`\x1b[33m                                ========\x1b[0m`);
@@ -134,6 +227,7 @@ function handleNewWallet(filePath) {
   console.log(`------------------------------------------------------------------------`);
   console.log(`  Location: ${filePath}`);
   console.log(`  Address: \x1b[33m${pubkey}\x1b[0m`);
+  console.log(`  Encrypted with your passphrase. It cannot be recovered, keep it safe`);
   console.log(`------------------------------------------------------------------------`);
   console.log(`  \x1b[31mACTION REQUIRED:\x1b[0m`);
   console.log(`  We have created a new local wallet for your bot`);